@@ -0,0 +1,41 @@
+/**
+ * CHROMATIC RUSH - Asset Generation Worker
+ * Runs AssetsManager's draw* and synthesizeSound routines for AssetWorkerPool:
+ * sprites on an OffscreenCanvas, returned as ImageBitmaps, and sounds as
+ * Float32Array PCM. Results are transferred, not copied.
+ */
+
+importScripts('assets.js');
+
+const generator = new AssetsManager();
+
+self.onmessage = ({ data: job }) => {
+    try {
+        switch (job.kind) {
+            case 'sprite': {
+                if (!/^draw[A-Z]/.test(job.draw) || typeof generator[job.draw] !== 'function') {
+                    throw new Error(`Unknown draw routine "${job.draw}"`);
+                }
+                
+                const canvas = new OffscreenCanvas(job.width, job.height);
+                generator[job.draw](canvas.getContext('2d'), ...job.args);
+                
+                const bitmap = canvas.transferToImageBitmap();
+                self.postMessage({ id: job.id, bitmap }, [bitmap]);
+                break;
+            }
+            
+            case 'sound': {
+                const pcm = new Float32Array(job.length);
+                generator.synthesizeSound(pcm, job.type, job.variant, job.sampleRate, job.duration);
+                self.postMessage({ id: job.id, pcm }, [pcm.buffer]);
+                break;
+            }
+            
+            default:
+                throw new Error(`Unknown job kind "${job.kind}"`);
+        }
+    } catch (error) {
+        self.postMessage({ id: job.id, error: error.message });
+    }
+};
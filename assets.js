@@ -3,6 +3,16 @@
  * Manages ~640+ game assets including sprites, sounds, animations, and effects
  */
 
+// Small string hash (FNV-1a) for stable variant picks and cache versions
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
 class AssetsManager {
     constructor() {
         this.assets = new Map();
@@ -24,8 +34,35 @@ class AssetsManager {
         // Initialize audio context
         this.initAudioContext();
         
-        // Sprite sheets cache
+        // Texture atlases built after loading (sheet index -> canvas)
         this.spriteSheets = new Map();
+        this.sheetSize = 2048;
+        this.sheetPadding = 2;
+        
+        // Generated assets survive reloads in IndexedDB
+        this.cache = new AssetCache();
+        
+        // Loading order - menu first, then the opening stretch of a run
+        // (about the first 1000 m), then the rest in the background.
+        // An asset goes to the first tier with a matching id prefix.
+        this.tiers = [
+            { name: 'menu', label: 'תפריט', prefixes: ['ui_', 'hud_', 'music_menu', 'bg_sky_', 'bg_clouds_', 'sfx_beep_'] },
+            {
+                name: 'gameplay',
+                label: 'משחק',
+                prefixes: [
+                    'rider_', 'bike_', 'obstacle_barrier_', 'obstacle_cone_', 'obstacle_hole_', 'obstacle_truck_',
+                    'collectible_', 'powerup_', 'platform_', 'projectile_', 'particle_sprite_', 'bg_', 'music_game', 'sfx_'
+                ]
+            },
+            { name: 'background', label: 'רקע', prefixes: [''] }
+        ];
+        this.frameBudget = 8;          // ms of generation before yielding a frame
+        this.queuedAssets = new Map(); // id -> queued asset data
+        this.pendingAssets = new Map(); // id -> promise of an asset being generated
+        this.backgroundLoading = null;  // Resolves when every tier is done
+        this.packer = null;             // Where the next packed sprite goes
+        this.workers = null;            // AssetWorkerPool while generating, if the browser has one
         
         // Color palettes for chromatic theme
         this.colorPalettes = {
@@ -58,6 +95,9 @@ class AssetsManager {
     }
 
     async initAudioContext() {
+        // Generation workers have no audio output
+        if (typeof window === 'undefined') return;
+        
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             
@@ -74,7 +114,9 @@ class AssetsManager {
     }
 
     /**
-     * Load all game assets
+     * Load game assets tier by tier. Resolves once the menu tier is ready;
+     * the other tiers keep generating in the background (see
+     * `backgroundLoading`), and anything drawn early loads on demand.
      */
     async loadAllAssets() {
         console.log('🎮 Loading CHROMATIC RUSH assets...');
@@ -85,11 +127,34 @@ class AssetsManager {
         // Start loading
         this.totalAssets = this.loadingQueue.length;
         
-        const promises = this.loadingQueue.map(asset => this.loadAsset(asset));
+        const version = this.getGeneratorVersion();
+        if (await this.restoreFromCache(version)) {
+            console.log(`✅ All ${this.totalAssets} assets restored from cache`);
+            this.backgroundLoading = Promise.resolve(true);
+            return true;
+        }
+        
+        this.workers = AssetWorkerPool.create();
         
         try {
-            await Promise.all(promises);
-            console.log(`✅ All ${this.totalAssets} assets loaded successfully!`);
+            const [menu, ...rest] = this.tiers;
+            await this.loadTier(menu);
+            
+            this.backgroundLoading = (async () => {
+                for (const tier of rest) {
+                    await this.loadTier(tier);
+                }
+                await this.saveToCache(version);
+                console.log(`✅ All ${this.totalAssets} assets loaded successfully!`);
+                return true;
+            })().catch(error => {
+                console.error('❌ Background asset loading failed:', error);
+                return false;
+            }).finally(() => {
+                this.workers?.terminate();
+                this.workers = null;
+            });
+            
             return true;
         } catch (error) {
             console.error('❌ Asset loading failed:', error);
@@ -97,6 +162,61 @@ class AssetsManager {
         }
     }
 
+    /**
+     * Generate every asset in a tier, yielding to the frame loop whenever a
+     * frame's budget is spent, then pack the tier's sprites. With a worker
+     * pool, a batch of jobs is kept in flight so every worker stays busy.
+     */
+    async loadTier(tier) {
+        const queue = this.loadingQueue.filter(assetData => assetData.tier === tier.name);
+        let frameStart = performance.now();
+        
+        for (let i = 0; i < queue.length;) {
+            const batchSize = this.workers ? this.workers.size * 4 : 1;
+            const batch = queue.slice(i, i + batchSize).filter(assetData => !this.assets.has(assetData.id));
+            await Promise.all(batch.map(assetData => this.loadAsset(assetData)));
+            i += batchSize;
+            
+            if (performance.now() - frameStart > this.frameBudget) {
+                await this.nextFrame();
+                frameStart = performance.now();
+            }
+        }
+        
+        this.packSpriteSheets();
+        console.log(`📦 ${tier.name} assets ready (${queue.length})`);
+    }
+
+    nextFrame() {
+        return new Promise(resolve => {
+            if (typeof requestAnimationFrame === 'function') {
+                requestAnimationFrame(() => resolve());
+            } else {
+                setTimeout(resolve, 0);
+            }
+        });
+    }
+
+    getTier(id) {
+        return this.tiers.find(tier => tier.prefixes.some(prefix => id.startsWith(prefix)));
+    }
+
+    /**
+     * Generate one asset now, ahead of its tier. Resolves to the asset, or
+     * null for an id that was never queued.
+     */
+    loadAssetById(id) {
+        if (this.assets.has(id)) return Promise.resolve(this.assets.get(id));
+        
+        const assetData = this.queuedAssets.get(id);
+        return assetData ? this.loadAsset(assetData) : Promise.resolve(null);
+    }
+
+    // Queued, whether or not it has been generated yet
+    isQueued(id) {
+        return this.queuedAssets.has(id);
+    }
+
     /**
      * Define all game assets (640+ assets)
      */
@@ -147,10 +267,11 @@ class AssetsManager {
             }
         });
 
-        // Obstacle sprites (72 total)
+        // Obstacle sprites (84 total)
         const obstacles = [
             'barrier', 'cone', 'hole', 'car', 'truck', 'fence', 
-            'sign', 'hydrant', 'mailbox', 'bench', 'trash', 'boulder'
+            'sign', 'hydrant', 'mailbox', 'bench', 'trash', 'boulder',
+            'drone', 'guard'
         ];
         
         obstacles.forEach(obstacle => {
@@ -164,8 +285,8 @@ class AssetsManager {
             }
         });
 
-        // Collectible sprites (60 total)
-        const collectibles = ['paint_red', 'paint_blue', 'paint_yellow', 'paint_green', 'paint_purple'];
+        // Collectible sprites (84 total)
+        const collectibles = ['paint_red', 'paint_blue', 'paint_yellow', 'paint_green', 'paint_purple', 'coin', 'spray_can'];
         collectibles.forEach(paint => {
             for (let frame = 1; frame <= 12; frame++) {
                 this.queueAsset({
@@ -189,6 +310,42 @@ class AssetsManager {
                 });
             }
         });
+
+        // Platforms (6 total)
+        ['rail', 'ledge'].forEach(platform => {
+            for (let variant = 1; variant <= 3; variant++) {
+                this.queueAsset({
+                    id: `platform_${platform}_${variant}`,
+                    type: 'sprite',
+                    category: this.categories.SPRITES,
+                    generator: () => this.generatePlatformSprite(platform, variant)
+                });
+            }
+        });
+
+        // Enemy shots (8 total)
+        ['grey_paint', 'net'].forEach(projectile => {
+            for (let frame = 1; frame <= 4; frame++) {
+                this.queueAsset({
+                    id: `projectile_${projectile}_${frame}`,
+                    type: 'sprite',
+                    category: this.categories.SPRITES,
+                    generator: () => this.generateProjectileSprite(projectile, frame)
+                });
+            }
+        });
+
+        // Bosses (4 total)
+        ['armored_truck', 'drone_mothership'].forEach(boss => {
+            for (let frame = 1; frame <= 2; frame++) {
+                this.queueAsset({
+                    id: `boss_${boss}_${frame}`,
+                    type: 'sprite',
+                    category: this.categories.SPRITES,
+                    generator: () => this.generateBossSprite(boss, frame)
+                });
+            }
+        });
     }
 
     addEnvironmentAssets() {
@@ -246,6 +403,14 @@ class AssetsManager {
     }
 
     addUIAssets() {
+        // Campaign finish line
+        this.queueAsset({
+            id: 'ui_finish_line_1',
+            type: 'sprite',
+            category: this.categories.UI,
+            generator: () => this.renderSprite(16, 200, 'drawFinishLine', [], {})
+        });
+
         // UI elements (48 total)
         const uiElements = [
             'heart', 'heart_empty', 'score_digit', 'multiplier', 'pause', 'play',
@@ -338,6 +503,18 @@ class AssetsManager {
             }
         });
 
+        // Particle sprites (20 total) - what the particle entities draw
+        ['sparks', 'paint_splash', 'dust', 'smoke', 'explosion'].forEach(particle => {
+            for (let variant = 1; variant <= 4; variant++) {
+                this.queueAsset({
+                    id: `particle_sprite_${particle}_${variant}`,
+                    type: 'sprite',
+                    category: this.categories.EFFECTS,
+                    generator: () => this.renderSprite(16, 16, 'drawParticle', [particle, variant], { particleType: particle, variant })
+                });
+            }
+        });
+
         // Screen effects (24 total)
         const screenFX = ['flash', 'shake', 'blur', 'distort', 'chromatic', 'glow'];
         screenFX.forEach(effect => {
@@ -356,20 +533,31 @@ class AssetsManager {
      * Queue an asset for loading
      */
     queueAsset(assetData) {
+        assetData.tier = this.getTier(assetData.id).name;
         this.loadingQueue.push(assetData);
+        this.queuedAssets.set(assetData.id, assetData);
     }
 
     /**
-     * Load a single asset
+     * Load a single asset. Concurrent requests for the same asset share
+     * one generation.
      */
-    async loadAsset(assetData) {
+    loadAsset(assetData) {
+        if (!this.pendingAssets.has(assetData.id)) {
+            const loading = this.generateAsset(assetData).finally(() => this.pendingAssets.delete(assetData.id));
+            this.pendingAssets.set(assetData.id, loading);
+        }
+        return this.pendingAssets.get(assetData.id);
+    }
+
+    async generateAsset(assetData) {
         try {
             const asset = await assetData.generator();
             this.assets.set(assetData.id, asset);
             this.loadedAssets++;
             
             // Update loading progress
-            this.updateLoadingProgress();
+            this.updateLoadingProgress(assetData.tier);
             
             return asset;
         } catch (error) {
@@ -382,12 +570,175 @@ class AssetsManager {
         }
     }
 
+    /**
+     * Pack every generated sprite not yet in a sheet into a few large
+     * sheets (shelf packing, tallest first), carrying on where the last
+     * call stopped. Packed sprites drop their own canvas and keep a `sheet`
+     * index and `rect` into it; sprites too big for a sheet stay as they are.
+     */
+    packSpriteSheets() {
+        const size = this.sheetSize;
+        const padding = this.sheetPadding;
+        const sprites = [...this.assets.values()]
+            .filter(asset => asset.type === 'sprite' && asset.canvas &&
+                asset.width + padding * 2 <= size && asset.height + padding * 2 <= size)
+            .sort((a, b) => b.height - a.height || b.width - a.width);
+
+        let { ctx, shelfX, shelfY, shelfHeight } = this.packer ?? { ctx: null, shelfX: size, shelfY: 0, shelfHeight: 0 };
+
+        for (const sprite of sprites) {
+            const width = sprite.width + padding * 2;
+            const height = sprite.height + padding * 2;
+
+            // Next shelf (also when an earlier batch left a lower one), then next sheet
+            if (shelfX + width > size || height > shelfHeight) {
+                shelfX = 0;
+                shelfY += shelfHeight;
+                shelfHeight = height;
+            }
+            if (!ctx || shelfY + height > size) {
+                const canvas = document.createElement('canvas');
+                canvas.width = size;
+                canvas.height = size;
+                ctx = canvas.getContext('2d');
+                this.spriteSheets.set(this.spriteSheets.size, canvas);
+                shelfX = 0;
+                shelfY = 0;
+                shelfHeight = height;
+            }
+
+            const x = shelfX + padding;
+            const y = shelfY + padding;
+            ctx.drawImage(sprite.canvas, x, y);
+            sprite.canvas.close?.(); // Worker ImageBitmaps hold memory until closed
+
+            sprite.sheet = this.spriteSheets.size - 1;
+            sprite.rect = { x, y, width: sprite.width, height: sprite.height };
+            sprite.canvas = null;
+            shelfX += width;
+        }
+
+        this.packer = { ctx, shelfX, shelfY, shelfHeight };
+        console.log(`🧩 Packed ${sprites.length} sprites into ${this.spriteSheets.size} sheets`);
+    }
+
+    /**
+     * Hash of everything that shapes the generated assets: the whole
+     * AssetsManager source, the palettes and the atlas layout. Editing any
+     * of them gives a new version, so stale caches are never used.
+     */
+    getGeneratorVersion() {
+        return hashString([
+            AssetCache.FORMAT,
+            AssetsManager.toString(),
+            JSON.stringify(this.colorPalettes),
+            this.sheetSize,
+            this.sheetPadding
+        ].join('\n')).toString(16);
+    }
+
+    /**
+     * Rehydrate every asset from the cache. Returns false (and leaves the
+     * assets untouched) when there is no bundle for this version.
+     */
+    async restoreFromCache(version) {
+        try {
+            const bundle = await this.cache.get(version);
+            if (!bundle) return false;
+            
+            const sheets = await Promise.all(bundle.sheets.map(blob => createImageBitmap(blob)));
+            const assets = new Map();
+            
+            for (const [id, stored] of Object.entries(bundle.assets)) {
+                const { image, pcm, ...asset } = stored;
+                if (image) {
+                    asset.canvas = await createImageBitmap(image);
+                }
+                if (pcm && this.audioContext) {
+                    asset.buffer = this.audioContext.createBuffer(pcm.channels.length, pcm.channels[0].length, pcm.sampleRate);
+                    pcm.channels.forEach((samples, channel) => asset.buffer.copyToChannel(samples, channel));
+                }
+                assets.set(id, asset);
+            }
+            
+            this.assets = assets;
+            this.spriteSheets = new Map(sheets.map((sheet, index) => [index, sheet]));
+            this.loadedAssets = this.totalAssets;
+            this.tiers.forEach(tier => this.updateLoadingProgress(tier.name));
+            return true;
+        } catch (error) {
+            console.warn('Asset cache restore failed, regenerating:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Store the packed sheets, loose sprite bitmaps and sound PCM under
+     * `version`, replacing any older bundle.
+     */
+    async saveToCache(version) {
+        try {
+            const toBlob = (image) => new Promise(resolve => {
+                // Loose worker sprites are ImageBitmaps; copy them to a canvas first
+                let canvas = image;
+                if (!image.toBlob) {
+                    canvas = document.createElement('canvas');
+                    canvas.width = image.width;
+                    canvas.height = image.height;
+                    canvas.getContext('2d').drawImage(image, 0, 0);
+                }
+                canvas.toBlob(resolve);
+            });
+            const sheets = await Promise.all([...this.spriteSheets.values()].map(toBlob));
+            const assets = {};
+            
+            for (const [id, asset] of this.assets) {
+                const { canvas, buffer, ...stored } = asset;
+                if (canvas) {
+                    stored.image = await toBlob(canvas);
+                }
+                if (buffer) {
+                    stored.pcm = {
+                        sampleRate: buffer.sampleRate,
+                        channels: Array.from({ length: buffer.numberOfChannels }, (_, channel) => buffer.getChannelData(channel).slice())
+                    };
+                }
+                assets[id] = stored;
+            }
+            
+            await this.cache.replace(version, { sheets, assets });
+        } catch (error) {
+            console.warn('Asset cache save failed:', error);
+        }
+    }
+
+    /**
+     * Where to draw a sprite from: { image, x, y, width, height }, or null
+     * if `id` is not a loaded sprite.
+     */
+    getSpriteFrame(id) {
+        const asset = this.assets.get(id);
+        if (asset?.type !== 'sprite') return null;
+
+        if (asset.rect) {
+            return { image: this.spriteSheets.get(asset.sheet), ...asset.rect };
+        }
+        if (asset.canvas) {
+            return { image: asset.canvas, x: 0, y: 0, width: asset.width, height: asset.height };
+        }
+        return null;
+    }
+
     /**
      * Update loading progress display
      */
-    updateLoadingProgress() {
-        const progress = (this.loadedAssets / this.totalAssets) * 100;
-        const progressBar = document.querySelector('.loading-progress');
+    updateLoadingProgress(tierName) {
+        const tier = this.tiers.find(t => t.name === tierName);
+        const { loaded, total } = this.getTierProgress(tierName);
+        const progress = total > 0 ? (loaded / total) * 100 : 100;
+        // A tier can have its own bar (data-tier="menu"); otherwise the one bar restarts per tier
+        const progressBar = document.querySelector(`.loading-progress[data-tier="${tierName}"]`) ||
+            document.querySelector('.loading-progress');
         const loadingText = document.querySelector('.loading-text');
         
         if (progressBar) {
@@ -395,35 +746,61 @@ class AssetsManager {
         }
         
         if (loadingText) {
-            loadingText.textContent = `טוען משאבים... ${Math.round(progress)}%`;
+            loadingText.textContent = `טוען משאבים (${tier.label})... ${Math.round(progress)}%`;
         }
     }
 
+    getTierProgress(tierName) {
+        const queue = this.loadingQueue.filter(assetData => assetData.tier === tierName);
+        return {
+            loaded: queue.filter(assetData => this.assets.has(assetData.id)).length,
+            total: queue.length
+        };
+    }
+
     /**
-     * Generate BMX rider sprite
+     * Draw a sprite with one of the draw* routines - on a worker's
+     * OffscreenCanvas when the pool is up, else on a local canvas. `canvas`
+     * is an ImageBitmap in the first case; both can be drawn and packed.
      */
-    generateRiderSprite(animation, frame) {
-        return new Promise((resolve) => {
+    async renderSprite(width, height, draw, args, meta) {
+        const canvas = await this.runOnWorker({ kind: 'sprite', draw, args, width, height }, () => {
             const canvas = document.createElement('canvas');
-            canvas.width = 64;
-            canvas.height = 64;
-            const ctx = canvas.getContext('2d');
-            
-            // Clear canvas
-            ctx.clearRect(0, 0, 64, 64);
-            
-            // Draw rider based on animation and frame
-            this.drawRider(ctx, animation, frame);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 64,
-                height: 64,
-                animation: animation,
-                frame: frame
-            });
+            canvas.width = width;
+            canvas.height = height;
+            this[draw](canvas.getContext('2d'), ...args);
+            return canvas;
         });
+        
+        return { type: 'sprite', canvas, width, height, ...meta };
+    }
+
+    /**
+     * Run a generation job on the worker pool, falling back to `local()` on
+     * the main thread when there is no pool or the job fails. A failing pool
+     * is shut down so later jobs go straight to local generation.
+     */
+    async runOnWorker(job, local) {
+        if (this.workers) {
+            try {
+                return await this.workers.run(job);
+            } catch (error) {
+                // Other jobs of a failed pool land here too; only shut it down once
+                if (this.workers) {
+                    console.warn('Asset worker failed, generating on the main thread:', error);
+                    this.workers.terminate();
+                    this.workers = null;
+                }
+            }
+        }
+        return local();
+    }
+
+    /**
+     * Generate BMX rider sprite
+     */
+    generateRiderSprite(animation, frame) {
+        return this.renderSprite(64, 64, 'drawRider', [animation, frame], { animation, frame });
     }
 
     /**
@@ -481,26 +858,7 @@ class AssetsManager {
      * Generate bike sprite
      */
     generateBikeSprite(state, frame) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 96;
-            canvas.height = 48;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 96, 48);
-            
-            // Draw bike
-            this.drawBike(ctx, state, frame);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 96,
-                height: 48,
-                state: state,
-                frame: frame
-            });
-        });
+        return this.renderSprite(96, 48, 'drawBike', [state, frame], { state, frame });
     }
 
     /**
@@ -573,25 +931,7 @@ class AssetsManager {
      * Generate obstacle sprite
      */
     generateObstacleSprite(type, variant) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 48;
-            canvas.height = 48;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 48, 48);
-            
-            this.drawObstacle(ctx, type, variant);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 48,
-                height: 48,
-                obstacleType: type,
-                variant: variant
-            });
-        });
+        return this.renderSprite(48, 48, 'drawObstacle', [type, variant], { obstacleType: type, variant });
     }
 
     /**
@@ -641,6 +981,33 @@ class AssetsManager {
                 ctx.fillRect(34, 38, 8, 6);
                 break;
                 
+            case 'drone':
+                // Security drone - body, rotor arms and a red camera eye
+                ctx.fillStyle = corpColors.accent;
+                ctx.fillRect(4, 10, 40, 4);
+                ctx.fillStyle = corpColors.dark;
+                ctx.fillRect(2, 6, 12, 3);
+                ctx.fillRect(34, 6, 12, 3);
+                ctx.fillStyle = corpColors.primary;
+                ctx.fillRect(14, 14, 20, 14);
+                ctx.fillStyle = '#FF1744';
+                ctx.fillRect(21, 22, 6, 4);
+                break;
+                
+            case 'guard':
+                // Corporate guard - grey suit, dark visor
+                ctx.fillStyle = corpColors.secondary;
+                ctx.fillRect(18, 4, 12, 12);
+                ctx.fillStyle = corpColors.dark;
+                ctx.fillRect(18, 8, 12, 3);
+                ctx.fillStyle = corpColors.primary;
+                ctx.fillRect(14, 16, 20, 18);
+                ctx.fillRect(16, 34, 6, 14);
+                ctx.fillRect(26, 34, 6, 14);
+                ctx.fillStyle = corpColors.accent;
+                ctx.fillRect(34, 18, 8, 4); // Net launcher
+                break;
+                
             default:
                 // Generic gray box
                 ctx.fillStyle = corpColors.secondary;
@@ -661,31 +1028,18 @@ class AssetsManager {
      * Generate collectible sprite (paint cans)
      */
     generateCollectibleSprite(paintType, frame) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 32;
-            canvas.height = 32;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 32, 32);
-            
-            this.drawCollectible(ctx, paintType, frame);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 32,
-                height: 32,
-                paintType: paintType,
-                frame: frame
-            });
-        });
+        return this.renderSprite(32, 32, 'drawCollectible', [paintType, frame], { paintType, frame });
     }
 
     /**
      * Draw collectible paint can
      */
     drawCollectible(ctx, paintType, frame) {
+        if (paintType === 'coin') {
+            this.drawCoin(ctx, frame);
+            return;
+        }
+        
         const rotation = (frame / 12) * Math.PI * 2;
         const bounce = Math.sin(rotation) * 2;
         const scale = 1 + Math.sin(rotation * 2) * 0.1;
@@ -698,6 +1052,7 @@ class AssetsManager {
             case 'paint_yellow': paintColor = '#FFFF00'; break;
             case 'paint_green': paintColor = '#00FF00'; break;
             case 'paint_purple': paintColor = '#FF00FF'; break;
+            case 'spray_can': paintColor = '#4ECDC4'; break;
         }
         
         ctx.save();
@@ -726,29 +1081,34 @@ class AssetsManager {
         ctx.restore();
     }
 
+    /**
+     * Draw a spinning coin
+     */
+    drawCoin(ctx, frame) {
+        const squash = Math.abs(Math.cos((frame / 12) * Math.PI * 2));
+        
+        ctx.save();
+        ctx.translate(16, 16);
+        ctx.scale(Math.max(0.15, squash), 1);
+        
+        ctx.fillStyle = '#FFD700';
+        ctx.beginPath();
+        ctx.arc(0, 0, 11, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.fillStyle = '#FFA500';
+        ctx.beginPath();
+        ctx.arc(0, 0, 7, 0, Math.PI * 2);
+        ctx.fill();
+        
+        ctx.restore();
+    }
+
     /**
      * Generate power-up sprite
      */
     generatePowerupSprite(type, frame) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 40;
-            canvas.height = 40;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 40, 40);
-            
-            this.drawPowerup(ctx, type, frame);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 40,
-                height: 40,
-                powerType: type,
-                frame: frame
-            });
-        });
+        return this.renderSprite(40, 40, 'drawPowerup', [type, frame], { powerType: type, frame });
     }
 
     /**
@@ -815,29 +1175,224 @@ class AssetsManager {
         ctx.restore();
     }
 
+    /**
+     * Generate platform sprite (rails and ledges, stretched to length)
+     */
+    generatePlatformSprite(type, variant) {
+        const height = type === 'rail' ? 8 : 16;
+        return this.renderSprite(64, height, 'drawPlatform', [type, variant], { platformType: type, variant });
+    }
+
+    /**
+     * Draw platform
+     */
+    drawPlatform(ctx, type, variant) {
+        if (type === 'rail') {
+            ctx.fillStyle = '#B0B0B0';
+            ctx.fillRect(0, 0, 64, 4);
+            ctx.fillStyle = '#707070';
+            ctx.fillRect(0, 4, 64, 4);
+            ctx.fillStyle = this.colorPalettes.environment.graffiti[variant % 5];
+            ctx.fillRect(0, 0, 64, 1);
+            return;
+        }
+        
+        ctx.fillStyle = '#808080';
+        ctx.fillRect(0, 0, 64, 16);
+        ctx.fillStyle = '#A9A9A9';
+        ctx.fillRect(0, 0, 64, 4);
+        ctx.fillStyle = '#5A5A5A';
+        for (let x = 8 + variant * 4; x < 64; x += 20) {
+            ctx.fillRect(x, 6, 1, 10);
+        }
+    }
+
+    /**
+     * Generate enemy projectile sprite
+     */
+    generateProjectileSprite(type, frame) {
+        return this.renderSprite(32, 32, 'drawProjectile', [type, frame], { projectileType: type, frame });
+    }
+
+    /**
+     * Draw enemy projectile
+     */
+    drawProjectile(ctx, type, frame) {
+        const wobble = Math.sin((frame / 4) * Math.PI * 2);
+        
+        if (type === 'net') {
+            ctx.strokeStyle = this.colorPalettes.corporate.accent;
+            ctx.lineWidth = 2;
+            for (let i = 4; i <= 28; i += 8) {
+                ctx.beginPath();
+                ctx.moveTo(i, 2 + wobble);
+                ctx.lineTo(i, 30 - wobble);
+                ctx.moveTo(2 - wobble, i);
+                ctx.lineTo(30 + wobble, i);
+                ctx.stroke();
+            }
+            return;
+        }
+        
+        // Grey paint blob
+        ctx.fillStyle = this.colorPalettes.corporate.secondary;
+        ctx.beginPath();
+        ctx.ellipse(16, 16, 11 + wobble, 9 - wobble, 0, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = this.colorPalettes.corporate.accent;
+        ctx.beginPath();
+        ctx.arc(12, 13, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Generate boss sprite
+     */
+    generateBossSprite(type, frame) {
+        return this.renderSprite(208, 120, 'drawBoss', [type, frame], { bossType: type, frame });
+    }
+
+    /**
+     * Draw boss
+     */
+    drawBoss(ctx, type, frame) {
+        const colors = this.colorPalettes.corporate;
+        const light = frame === 1 ? '#FF1744' : '#660000';
+        
+        if (type === 'drone_mothership') {
+            // Wide hull with rotor pods and a hangar bay
+            ctx.fillStyle = colors.dark;
+            ctx.fillRect(0, 20, 48, 8);
+            ctx.fillRect(160, 20, 48, 8);
+            ctx.fillStyle = colors.primary;
+            ctx.fillRect(16, 36, 176, 44);
+            ctx.fillStyle = colors.secondary;
+            ctx.fillRect(40, 80, 128, 20);
+            ctx.fillStyle = colors.dark;
+            ctx.fillRect(84, 84, 40, 16);
+            ctx.fillStyle = light;
+            ctx.fillRect(96, 50, 16, 8);
+            return;
+        }
+        
+        // Armored truck - cab, box and wheels
+        ctx.fillStyle = colors.primary;
+        ctx.fillRect(0, 20, 150, 76);
+        ctx.fillStyle = colors.secondary;
+        ctx.fillRect(150, 44, 52, 52);
+        ctx.fillStyle = colors.dark;
+        ctx.fillRect(164, 52, 30, 18);
+        ctx.fillStyle = colors.accent;
+        for (let x = 10; x < 150; x += 28) {
+            ctx.fillRect(x, 30, 4, 56);
+        }
+        ctx.fillStyle = '#333333';
+        [24, 110, 172].forEach(x => ctx.fillRect(x, 96, 26, 20));
+        ctx.fillStyle = light;
+        ctx.fillRect(196, 60, 6, 6);
+    }
+
+    /**
+     * Draw the campaign finish line - a checkered banner post
+     */
+    drawFinishLine(ctx) {
+        for (let y = 0; y < 200; y += 8) {
+            for (let x = 0; x < 16; x += 8) {
+                ctx.fillStyle = (x + y) % 16 === 0 ? '#FFFFFF' : '#000000';
+                ctx.fillRect(x, y, 8, 8);
+            }
+        }
+    }
+
+    /**
+     * Generate UI sprite - states 1-4 are normal, hover, pressed, disabled
+     */
+    generateUISprite(element, state) {
+        return this.renderSprite(48, 48, 'drawUIElement', [element, state], { uiElement: element, state });
+    }
+
+    /**
+     * Draw a UI button or icon: a rounded badge with the element's symbol
+     */
+    drawUIElement(ctx, element, state) {
+        const symbols = {
+            heart: '❤', heart_empty: '♡', score_digit: '0', multiplier: '×', pause: '❚❚', play: '▶',
+            menu: '☰', settings: '⚙', sound_on: '♪', sound_off: '✕', restart: '↻', quit: '⏻'
+        };
+        const color = element.startsWith('heart') ? this.colorPalettes.player.glow
+            : element === 'multiplier' ? this.colorPalettes.neon.pink
+            : this.colorPalettes.player.secondary;
+        
+        ctx.globalAlpha = state === 4 ? 0.4 : 1;
+        ctx.fillStyle = state === 3 ? this.colorPalettes.corporate.dark : this.colorPalettes.corporate.primary;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = state === 2 ? 4 : 2;
+        ctx.beginPath();
+        ctx.roundRect(4, 4, 40, 40, 10);
+        ctx.fill();
+        ctx.stroke();
+        
+        ctx.fillStyle = color;
+        ctx.font = 'bold 22px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(symbols[element] ?? '?', 24, state === 3 ? 26 : 24);
+    }
+
+    /**
+     * Generate HUD sprite - variants 1-4 are the frames of its pulse
+     */
+    generateHUDSprite(element, variant) {
+        return this.renderSprite(48, 48, 'drawHUDElement', [element, variant], { hudElement: element, variant });
+    }
+
+    /**
+     * Draw a HUD gauge icon, glowing brighter as the pulse goes on
+     */
+    drawHUDElement(ctx, element, variant) {
+        const symbols = { speedometer: '◔', distance: '⇥', combo: '🔥', warning: '⚠', arrow: '➜', target: '◎' };
+        const colors = {
+            speedometer: this.colorPalettes.neon.blue,
+            distance: this.colorPalettes.neon.green,
+            combo: this.colorPalettes.player.primary,
+            warning: this.colorPalettes.neon.yellow,
+            arrow: this.colorPalettes.neon.green,
+            target: this.colorPalettes.player.glow
+        };
+        const color = colors[element] ?? '#FFFFFF';
+        
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 4 + variant * 3;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(24, 24, 16 + variant, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        ctx.shadowBlur = 0;
+        ctx.fillStyle = color;
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(symbols[element] ?? '?', 24, 25);
+    }
+
+    /**
+     * Draw a single particle - a soft dot in the particle type's colours
+     */
+    drawParticle(ctx, type, variant) {
+        const gradient = ctx.createRadialGradient(8, 8, 0, 8, 8, 8);
+        gradient.addColorStop(0, this.getParticleColor(type, variant));
+        gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 16, 16);
+    }
+
     /**
      * Generate background sprite
      */
     generateBackgroundSprite(layer, section) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 200;
-            canvas.height = 150;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 200, 150);
-            
-            this.drawBackground(ctx, layer, section);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 200,
-                height: 150,
-                layer: layer,
-                section: section
-            });
-        });
+        return this.renderSprite(200, 150, 'drawBackground', [layer, section], { layer, section });
     }
 
     /**
@@ -940,25 +1495,7 @@ class AssetsManager {
      * Generate graffiti sprite
      */
     generateGraffitiSprite(type, variant) {
-        return new Promise((resolve) => {
-            const canvas = document.createElement('canvas');
-            canvas.width = 120;
-            canvas.height = 60;
-            const ctx = canvas.getContext('2d');
-            
-            ctx.clearRect(0, 0, 120, 60);
-            
-            this.drawGraffiti(ctx, type, variant);
-            
-            resolve({
-                type: 'sprite',
-                canvas: canvas,
-                width: 120,
-                height: 60,
-                graffitiType: type,
-                variant: variant
-            });
-        });
+        return this.renderSprite(120, 60, 'drawGraffiti', [type, variant], { graffitiType: type, variant });
     }
 
     /**
@@ -1043,28 +1580,30 @@ class AssetsManager {
     /**
      * Generate sound effect
      */
-    generateSoundEffect(type, variant) {
-        return new Promise((resolve) => {
-            if (!this.audioContext) {
-                resolve({ type: 'sound', data: null });
-                return;
-            }
-            
-            const duration = 0.5;
-            const sampleRate = this.audioContext.sampleRate;
-            const buffer = this.audioContext.createBuffer(1, duration * sampleRate, sampleRate);
-            const data = buffer.getChannelData(0);
-            
-            // Generate different sound types
+    async generateSoundEffect(type, variant) {
+        if (!this.audioContext) {
+            return { type: 'sound', data: null };
+        }
+        
+        const duration = 0.5;
+        const sampleRate = this.audioContext.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, duration * sampleRate, sampleRate);
+        
+        // Generate different sound types
+        const job = { kind: 'sound', type, variant, sampleRate, duration, length: buffer.length };
+        const pcm = await this.runOnWorker(job, () => {
+            const data = new Float32Array(buffer.length);
             this.synthesizeSound(data, type, variant, sampleRate, duration);
-            
-            resolve({
-                type: 'sound',
-                buffer: buffer,
-                soundType: type,
-                variant: variant
-            });
+            return data;
         });
+        buffer.copyToChannel(pcm, 0);
+        
+        return {
+            type: 'sound',
+            buffer: buffer,
+            soundType: type,
+            variant: variant
+        };
     }
 
     /**
@@ -1332,12 +1871,334 @@ class AssetsManager {
         return {
             loaded: this.loadedAssets,
             total: this.totalAssets,
-            percentage: this.totalAssets > 0 ? (this.loadedAssets / this.totalAssets) * 100 : 0
+            percentage: this.totalAssets > 0 ? (this.loadedAssets / this.totalAssets) * 100 : 0,
+            tiers: Object.fromEntries(this.tiers.map(tier => [tier.name, this.getTierProgress(tier.name)]))
         };
     }
 }
 
-// Create global instance
-window.assetsManager = new AssetsManager();
+/**
+ * Pool of asset-worker.js workers running the draw* and synthesizeSound
+ * routines off the main thread. Sprite jobs come back as ImageBitmaps and
+ * sound jobs as Float32Array PCM, both transferred rather than copied.
+ */
+class AssetWorkerPool {
+    /**
+     * A started pool, or null when the browser can't run generation
+     * workers (no Worker or OffscreenCanvas, or a file:// page).
+     */
+    static create(url = 'asset-worker.js') {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return null;
+        
+        const size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1));
+        try {
+            return new AssetWorkerPool(url, size);
+        } catch (error) {
+            console.warn('Asset workers unavailable, generating on the main thread:', error);
+            return null;
+        }
+    }
+
+    constructor(url, size) {
+        this.size = size;
+        this.jobs = new Map();  // job id -> { resolve, reject, worker }
+        this.nextJobId = 1;
+        this.failed = null;     // Set once any worker crashes
+        this.workers = Array.from({ length: size }, () => {
+            const worker = new Worker(url);
+            worker.busy = 0;
+            worker.onmessage = ({ data }) => this.finish(data);
+            worker.onerror = (event) => this.fail(worker, new Error(event.message || 'Asset worker crashed'));
+            return worker;
+        });
+    }
+
+    // Resolves to the job's bitmap or pcm; rejects if the worker fails
+    run(job) {
+        if (this.failed) return Promise.reject(this.failed);
+        
+        const worker = this.workers.reduce((least, w) => w.busy < least.busy ? w : least);
+        const id = this.nextJobId++;
+        
+        return new Promise((resolve, reject) => {
+            this.jobs.set(id, { resolve, reject, worker });
+            worker.busy++;
+            worker.postMessage({ ...job, id });
+        });
+    }
+
+    finish({ id, bitmap, pcm, error }) {
+        const job = this.jobs.get(id);
+        if (!job) return;
+        
+        this.jobs.delete(id);
+        job.worker.busy--;
+        if (error) {
+            job.reject(new Error(error));
+        } else {
+            job.resolve(bitmap ?? pcm);
+        }
+    }
+
+    // Reject everything the broken worker still owed
+    fail(worker, error) {
+        this.failed = error;
+        for (const [id, job] of this.jobs) {
+            if (job.worker !== worker) continue;
+            this.jobs.delete(id);
+            job.reject(error);
+        }
+    }
+
+    terminate() {
+        this.workers.forEach(worker => worker.terminate());
+        for (const job of this.jobs.values()) {
+            job.reject(new Error('Asset worker pool terminated'));
+        }
+        this.jobs.clear();
+    }
+}
+
+/**
+ * IndexedDB store of generated asset bundles, one per generator version.
+ * Every call resolves to null/false instead of throwing when IndexedDB is
+ * unavailable (private browsing, file:// pages).
+ */
+class AssetCache {
+    // Bump when the bundle layout itself changes
+    static get FORMAT() { return 1; }
+
+    constructor(name = 'chromatic-rush-assets', store = 'bundles') {
+        this.name = name;
+        this.store = store;
+        this.db = null;
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        if (typeof indexedDB === 'undefined') return null;
+        
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.name, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.store);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return this.db;
+    }
+
+    async get(version) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        return new Promise((resolve, reject) => {
+            const request = db.transaction(this.store, 'readonly').objectStore(this.store).get(version);
+            request.onsuccess = () => resolve(request.result ?? null);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Drop every older bundle and store this one
+    async replace(version, bundle) {
+        const db = await this.open();
+        if (!db) return false;
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.store, 'readwrite');
+            const store = transaction.objectStore(this.store);
+            store.clear();
+            store.put(bundle, version);
+            transaction.oncomplete = () => resolve(true);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+}
+
+/**
+ * Game sprite keys (Sprite.type -> Sprite.frame) mapped to generated asset
+ * families. Families with an fps animate over time; the rest pick a fixed
+ * variant per entity. A type's `default` family stands in for frames it
+ * has no art for; anything else draws the magenta placeholder.
+ */
+const SPRITE_FAMILIES = {
+    player: {
+        idle: { prefix: 'rider_idle', count: 8, fps: 8 },
+        jump: { prefix: 'rider_jumping', count: 8, fps: 12 },
+        duck: { prefix: 'rider_sliding', count: 8, fps: 8 },
+        spray: { prefix: 'rider_pedaling', count: 8, fps: 12 }
+    },
+    obstacles: {
+        barrier: { prefix: 'obstacle_barrier', count: 6 },
+        cone: { prefix: 'obstacle_cone', count: 6 },
+        pothole: { prefix: 'obstacle_hole', count: 6 },
+        corporate_van: { prefix: 'obstacle_truck', count: 6 },
+        security_drone: { prefix: 'obstacle_drone', count: 6 },
+        corporate_guard: { prefix: 'obstacle_guard', count: 6 },
+        // Kinds without art of their own
+        default: { prefix: 'obstacle_boulder', count: 6 }
+    },
+    collectibles: {
+        paint_red: { prefix: 'collectible_paint_red', count: 12, fps: 12 },
+        paint_blue: { prefix: 'collectible_paint_blue', count: 12, fps: 12 },
+        paint_yellow: { prefix: 'collectible_paint_yellow', count: 12, fps: 12 },
+        paint_green: { prefix: 'collectible_paint_green', count: 12, fps: 12 },
+        paint_purple: { prefix: 'collectible_paint_purple', count: 12, fps: 12 },
+        coin: { prefix: 'collectible_coin', count: 12, fps: 12 },
+        spray_can: { prefix: 'collectible_spray_can', count: 12, fps: 12 },
+        default: { prefix: 'collectible_coin', count: 12, fps: 12 },
+        // Power-ups show their kind as the frame
+        speed: { prefix: 'powerup_speed', count: 6, fps: 8 },
+        jump: { prefix: 'powerup_jump', count: 6, fps: 8 },
+        shield: { prefix: 'powerup_shield', count: 6, fps: 8 },
+        magnet: { prefix: 'powerup_magnet', count: 6, fps: 8 },
+        multiplier: { prefix: 'powerup_multiplier', count: 6, fps: 8 },
+        life: { prefix: 'powerup_life', count: 6, fps: 8 }
+    },
+    background: {
+        building1: { prefix: 'bg_buildings_near', count: 8 },
+        building2: { prefix: 'bg_buildings_near', count: 8 },
+        building3: { prefix: 'bg_buildings_near', count: 8 },
+        colored_building1: { prefix: 'bg_buildings_mid', count: 8 },
+        colored_building2: { prefix: 'bg_buildings_mid', count: 8 }
+    },
+    platforms: {
+        rail: { prefix: 'platform_rail', count: 3 },
+        ledge: { prefix: 'platform_ledge', count: 3 }
+    },
+    projectiles: {
+        grey_paint: { prefix: 'projectile_grey_paint', count: 4, fps: 8 },
+        net: { prefix: 'projectile_net', count: 4, fps: 8 }
+    },
+    bosses: {
+        armored_truck: { prefix: 'boss_armored_truck', count: 2, fps: 2 },
+        drone_mothership: { prefix: 'boss_drone_mothership', count: 2, fps: 2 }
+    },
+    particles: {
+        sparkle: { prefix: 'particle_sprite_sparks', count: 4 },
+        smoke: { prefix: 'particle_sprite_smoke', count: 4 },
+        spray_particle: { prefix: 'particle_sprite_paint_splash', count: 4 },
+        explosion_particle: { prefix: 'particle_sprite_explosion', count: 4 }
+    },
+    ui: {
+        finish_line: { prefix: 'ui_finish_line', count: 1 },
+        multiplier: { prefix: 'ui_multiplier', count: 1 }
+    },
+    hud: {
+        combo: { prefix: 'hud_combo', count: 4, fps: 6 }
+    }
+};
+
+// Short sound names used by the game that have no sfx_ family of their own
+const SOUND_ALIASES = {
+    achievement: 'beep'
+};
+
+/**
+ * The API the game calls (`Assets.loadAssets()`, `Assets.getSprite(type, frame)`,
+ * `Assets.playSound(name)`, `Assets.setVolume(channel, percent)`), on top of an
+ * AssetsManager and its generated asset ids.
+ */
+class AssetsFacade {
+    constructor(manager) {
+        this.manager = manager;
+        this.volume = { music: 1, sfx: 1 };
+        this.missing = new Set();   // Keys already warned about
+        this.placeholder = null;
+    }
+
+    async loadAssets() {
+        return this.manager.loadAllAssets();
+    }
+
+    /**
+     * Sheet region for a game sprite key: { image, x, y, width, height }.
+     * `key` (e.g. the entity id) keeps a static sprite on the same variant
+     * from frame to frame.
+     */
+    getSprite(type, frame, key = '') {
+        const id = this.getSpriteId(type, frame, key);
+        const region = id && this.manager.getSpriteFrame(id);
+        if (region) return region;
+
+        // Not generated yet - ask for it now and draw the placeholder meanwhile
+        if (id && this.manager.isQueued(id) && !this.manager.hasAsset(id)) {
+            this.manager.loadAssetById(id);
+            return this.getPlaceholder();
+        }
+
+        this.warnOnce(`${type}/${frame}`, id ? `Sprite asset "${id}" not loaded, using placeholder` : `No sprite mapped for ${type}/${frame}, using placeholder`);
+        return this.getPlaceholder();
+    }
+
+    getSpriteId(type, frame, key = '') {
+        // Graffiti frames are already <style>_<variant>
+        if (type === 'graffiti') return `graffiti_${frame}`;
+
+        let family = SPRITE_FAMILIES[type]?.[frame];
+        if (!family && SPRITE_FAMILIES[type]?.default) {
+            this.warnOnce(`${type}/${frame}`, `No sprite for ${type}/${frame}, using the ${type} default`);
+            family = SPRITE_FAMILIES[type].default;
+        }
+        if (!family) return null;
+
+        const index = family.fps
+            ? Math.floor(performance.now() / 1000 * family.fps) % family.count
+            : hashString(String(key)) % family.count;
+        return `${family.prefix}_${index + 1}`;
+    }
+
+    /**
+     * Play a short sound name ('crash') as one of its generated variants
+     * (sfx_crash_1..3). Full asset ids are played as they are.
+     */
+    playSound(name) {
+        let id = name;
+        if (!this.manager.isQueued(id)) {
+            const type = SOUND_ALIASES[name] ?? name;
+            const variants = [1, 2, 3].map(variant => `sfx_${type}_${variant}`).filter(id => this.manager.isQueued(id));
+            if (variants.length === 0) {
+                this.warnOnce(`sound/${name}`, `No sound asset for "${name}"`);
+                return;
+            }
+            id = variants[Math.floor(Math.random() * variants.length)];
+        }
+
+        if (this.manager.hasAsset(id)) {
+            this.manager.playSound(id, this.volume.sfx);
+        } else {
+            // Not generated yet - generate it now and play it when ready
+            this.manager.loadAssetById(id).then(() => this.manager.playSound(id, this.volume.sfx));
+        }
+    }
+
+    // Volume from the settings sliders, 0-100
+    setVolume(channel, percent) {
+        if (!(channel in this.volume)) {
+            console.warn(`Unknown volume channel "${channel}"`);
+            return;
+        }
+        this.volume[channel] = Math.max(0, Math.min(100, percent)) / 100;
+    }
+
+    getPlaceholder() {
+        if (!this.placeholder) {
+            const canvas = this.manager.createPlaceholder('sprite').canvas;
+            this.placeholder = { image: canvas, x: 0, y: 0, width: canvas.width, height: canvas.height };
+        }
+        return this.placeholder;
+    }
+
+    warnOnce(key, message) {
+        if (this.missing.has(key)) return;
+        this.missing.add(key);
+        console.warn(`⚠️ ${message}`);
+    }
+}
 
-console.log('🎨 CHROMATIC RUSH Assets Manager initialized with 640+ assets ready to load!');
\ No newline at end of file
+// Create global instances (asset-worker.js loads this file without a window)
+if (typeof window !== 'undefined') {
+    window.assetsManager = new AssetsManager();
+    window.Assets = new AssetsFacade(window.assetsManager);
+    
+    console.log('🎨 CHROMATIC RUSH Assets Manager initialized with 640+ assets ready to load!');
+}
\ No newline at end of file
@@ -0,0 +1,601 @@
+/**
+ * CHROMATIC RUSH - Level Editor
+ * Lay out a street on a scrolling timeline, tune each entity, save the level
+ * as JSON (see the level data format above LevelData in game.js) and
+ * playtest it from any x with the game's own systems.
+ *
+ * The editor is not part of the standalone index.html prototype. A game page
+ * opens it by loading assets.js, game.js and then this file, and providing
+ * the markup ChromaticRush looks up by id:
+ *
+ *   <button id="editorBtn">עורך שלבים</button>          (main menu)
+ *   <div id="editorScreen" class="screen"></div>          (filled by build())
+ *   <div id="levelSelectScreen" class="screen">           (playtests end here)
+ *       <div id="levelGrid"></div>
+ *   </div>
+ *
+ * Clicking #editorBtn calls ChromaticRush.openEditor().
+ */
+
+// What each palette item drops onto the timeline
+const EDITOR_PALETTE = [
+    { label: 'מחסום', icon: '🚧', entry: { type: 'obstacle', kind: 'barrier' } },
+    { label: 'קונוס', icon: '🔺', entry: { type: 'obstacle', kind: 'cone' } },
+    { label: 'בור', icon: '🕳️', entry: { type: 'obstacle', kind: 'pothole' } },
+    { label: 'ואן', icon: '🚐', entry: { type: 'obstacle', kind: 'corporate_van' } },
+    { label: 'רחפן', icon: '🛸', entry: { type: 'moving_obstacle', kind: 'security_drone', ai: { type: 'patrol', speed: 80, range: 150 } } },
+    { label: 'מטבע', icon: '🪙', entry: { type: 'collectible', kind: 'coin' } },
+    { label: 'ספריי', icon: '🥫', entry: { type: 'collectible', kind: 'spray_can' } },
+    { label: 'צבע', icon: '🎨', entry: { type: 'paint' } },
+    { label: 'כוח', icon: '⭐', entry: { type: 'collectible', kind: 'power_up', powerUp: 'shield' } },
+    { label: 'מדף', icon: '▬', entry: { type: 'platform', y: 360, width: 200 } },
+    { label: 'מעקה', icon: '═', entry: { type: 'rail', y: 380, width: 240 } },
+    { label: 'קיר', icon: '🧱', entry: { type: 'wall', recipe: { red: 1 } } },
+    { label: 'תבנית', icon: '🧩', entry: { type: 'pattern', name: 'single_barrier' } },
+    { label: 'משאית', icon: '🚚', entry: { type: 'boss', kind: 'armored_truck' } },
+    { label: 'ספינת אם', icon: '🛸', entry: { type: 'boss', kind: 'drone_mothership' } }
+];
+
+// Entity types that can be dragged up and down; the rest sit on the street
+const EDITOR_FREE_Y = new Set(['moving_obstacle', 'collectible', 'paint', 'platform', 'rail']);
+
+class LevelEditor {
+    constructor(game, container) {
+        this.game = game;
+        this.container = container;
+        this.level = LevelEditor.createEmptyLevel();
+        this.selectedIndex = -1;
+        this.scrollX = 0;
+        this.playtestX = 100;
+        this.drag = null;
+        this.scale = 0.4; // Timeline pixels per world unit, set from the canvas height
+
+        this.build();
+    }
+
+    static createEmptyLevel() {
+        return {
+            version: LevelData.VERSION,
+            id: 'custom_level',
+            name: 'שלב חדש',
+            length: 5000,
+            goals: [{ type: 'paint_walls', target: 3 }],
+            entities: []
+        };
+    }
+
+    // Where an entity sits on the timeline, in world units
+    static getFootprint(entry) {
+        switch (entry.type) {
+            case 'obstacle':
+                return { x: entry.x, y: entry.y ?? 380, width: 64, height: 64, color: '#ff6b35' };
+            case 'moving_obstacle':
+                return { x: entry.x, y: entry.y ?? 200, width: 64, height: 64, color: '#ff1744' };
+            case 'collectible': {
+                const row = ((entry.count || 1) - 1) * (entry.spacing ?? 40);
+                const y = entry.y ?? (entry.kind === 'power_up' ? 320 : 380);
+                return { x: entry.x, y, width: 32 + row, height: 32, color: '#ffff00' };
+            }
+            case 'paint':
+                return { x: entry.x, y: entry.y ?? 380, width: 32, height: 32, color: '#b026ff' };
+            case 'platform':
+            case 'rail':
+                return { x: entry.x, y: entry.y, width: entry.width, height: entry.type === 'rail' ? 8 : 16, color: '#00d4ff' };
+            case 'wall':
+                return { x: entry.x, y: 100, width: 120, height: 200, color: '#39ff14' };
+            case 'boss': {
+                const boss = BOSSES[entry.kind] || BOSSES.armored_truck;
+                return { x: entry.x, y: boss.y, width: boss.width, height: boss.height, color: '#ff0080' };
+            }
+            default:
+                return { x: entry.x, y: 280, width: 200, height: 170, color: '#888888' };
+        }
+    }
+
+    build() {
+        this.container.innerHTML = `
+            <div class="editor-toolbar">
+                <input class="editor-level-id" type="text" title="מזהה">
+                <input class="editor-level-name" type="text" title="שם">
+                <input class="editor-level-length" type="number" min="500" step="100" title="אורך">
+                <select class="editor-open-level"><option value="">פתח שלב...</option></select>
+                <button class="menu-btn editor-new">חדש</button>
+                <label class="menu-btn">טען<input class="editor-load hidden" type="file" accept=".json,application/json"></label>
+                <button class="menu-btn editor-save">שמור</button>
+                <input class="editor-playtest-x" type="number" min="0" step="50" title="התחל מ-x">
+                <button class="menu-btn editor-playtest">▶ בדיקה</button>
+                <button class="menu-btn editor-back">חזרה</button>
+            </div>
+            <div class="editor-palette"></div>
+            <canvas class="editor-timeline" width="900" height="240" tabindex="0"></canvas>
+            <input class="editor-scroll" type="range" min="0" value="0">
+            <div class="editor-panels">
+                <div class="editor-inspector"></div>
+                <div class="editor-goals"></div>
+            </div>
+            <div class="editor-errors hidden"></div>
+        `;
+
+        const find = (selector) => this.container.querySelector(selector);
+        this.elements = {
+            id: find('.editor-level-id'),
+            name: find('.editor-level-name'),
+            length: find('.editor-level-length'),
+            openLevel: find('.editor-open-level'),
+            playtestX: find('.editor-playtest-x'),
+            palette: find('.editor-palette'),
+            canvas: find('.editor-timeline'),
+            scroll: find('.editor-scroll'),
+            inspector: find('.editor-inspector'),
+            goals: find('.editor-goals'),
+            errors: find('.editor-errors')
+        };
+        this.ctx = this.elements.canvas.getContext('2d');
+
+        for (const level of this.game.campaign.levels) {
+            const option = document.createElement('option');
+            option.value = level.id;
+            option.textContent = level.name;
+            this.elements.openLevel.appendChild(option);
+        }
+
+        EDITOR_PALETTE.forEach((item, index) => {
+            const button = document.createElement('div');
+            button.className = 'editor-palette-item';
+            button.draggable = true;
+            button.textContent = `${item.icon} ${item.label}`;
+            button.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', String(index)));
+            this.elements.palette.appendChild(button);
+        });
+
+        this.bindEvents(find);
+    }
+
+    bindEvents(find) {
+        const { canvas } = this.elements;
+
+        find('.editor-new').addEventListener('click', () => this.setLevel(LevelEditor.createEmptyLevel()));
+        find('.editor-save').addEventListener('click', () => this.save());
+        find('.editor-playtest').addEventListener('click', () => this.playtest());
+        find('.editor-back').addEventListener('click', () => this.game.returnToMenu());
+        find('.editor-load').addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) this.load(file);
+            e.target.value = '';
+        });
+
+        this.elements.openLevel.addEventListener('change', (e) => {
+            const level = this.game.campaign.getLevel(e.target.value);
+            if (level) this.setLevel({ version: LevelData.VERSION, ...JSON.parse(JSON.stringify(level)) });
+            e.target.value = '';
+        });
+
+        this.elements.id.addEventListener('input', (e) => { this.level.id = e.target.value; });
+        this.elements.name.addEventListener('input', (e) => { this.level.name = e.target.value; });
+        this.elements.length.addEventListener('change', (e) => {
+            this.level.length = Number(e.target.value);
+            this.refresh();
+        });
+        this.elements.playtestX.addEventListener('change', (e) => {
+            this.playtestX = Math.max(0, Number(e.target.value) || 0);
+            this.draw();
+        });
+        this.elements.scroll.addEventListener('input', (e) => {
+            this.scrollX = Number(e.target.value);
+            this.draw();
+        });
+
+        // Drop palette items onto the street
+        canvas.addEventListener('dragover', (e) => e.preventDefault());
+        canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const item = EDITOR_PALETTE[Number(e.dataTransfer.getData('text/plain'))];
+            if (!item) return;
+
+            const point = this.toWorld(e);
+            const entry = { ...JSON.parse(JSON.stringify(item.entry)), x: Math.round(point.x) };
+            if (EDITOR_FREE_Y.has(entry.type)) entry.y = Math.round(point.y);
+
+            this.level.entities.push(entry);
+            this.select(this.level.entities.length - 1);
+        });
+
+        // Pick and drag placed entities; clicking the empty street sets the playtest start
+        canvas.addEventListener('pointerdown', (e) => {
+            const point = this.toWorld(e);
+            const index = this.hitTest(point);
+
+            if (index < 0) {
+                this.playtestX = Math.max(0, Math.round(point.x));
+                this.select(-1);
+                return;
+            }
+
+            const entry = this.level.entities[index];
+            this.drag = { index, offsetX: point.x - entry.x, offsetY: point.y - (entry.y ?? 0) };
+            canvas.setPointerCapture(e.pointerId);
+            this.select(index);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag) return;
+
+            const point = this.toWorld(e);
+            const entry = this.level.entities[this.drag.index];
+            entry.x = Math.round(point.x - this.drag.offsetX);
+            if (EDITOR_FREE_Y.has(entry.type) && entry.y !== undefined) {
+                entry.y = Math.round(point.y - this.drag.offsetY);
+            }
+            this.draw();
+        });
+        canvas.addEventListener('pointerup', () => {
+            if (!this.drag) return;
+            this.drag = null;
+            this.refresh();
+        });
+
+        canvas.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this.scrollTo(this.scrollX + (e.deltaY + e.deltaX) / this.scale);
+        }, { passive: false });
+
+        canvas.addEventListener('keydown', (e) => {
+            if ((e.key === 'Delete' || e.key === 'Backspace') && this.selectedIndex >= 0) {
+                this.removeSelected();
+            }
+        });
+    }
+
+    open() {
+        const { canvas } = this.elements;
+        canvas.width = canvas.parentElement?.clientWidth || canvas.width;
+        this.scale = canvas.height / 600;
+        this.refresh();
+    }
+
+    setLevel(level) {
+        this.level = level;
+        this.selectedIndex = -1;
+        this.scrollX = 0;
+        this.playtestX = 100;
+        this.refresh();
+    }
+
+    select(index) {
+        this.selectedIndex = index;
+        this.refresh();
+    }
+
+    removeSelected() {
+        this.level.entities.splice(this.selectedIndex, 1);
+        this.select(-1);
+    }
+
+    scrollTo(x) {
+        this.scrollX = Math.max(0, Math.min(this.level.length, x));
+        this.elements.scroll.value = this.scrollX;
+        this.draw();
+    }
+
+    // Redraw everything and re-check the level
+    refresh() {
+        this.elements.id.value = this.level.id;
+        this.elements.name.value = this.level.name;
+        this.elements.length.value = this.level.length;
+        this.elements.playtestX.value = this.playtestX;
+        this.elements.scroll.max = this.level.length;
+        this.elements.scroll.value = this.scrollX;
+
+        this.draw();
+        this.renderInspector();
+        this.renderGoals();
+        this.showErrors(this.validate());
+    }
+
+    toWorld(event) {
+        const rect = this.elements.canvas.getBoundingClientRect();
+        const ratio = this.elements.canvas.width / rect.width;
+        return {
+            x: (event.clientX - rect.left) * ratio / this.scale + this.scrollX,
+            y: (event.clientY - rect.top) * ratio / this.scale
+        };
+    }
+
+    // Topmost entity under a world point, or -1
+    hitTest(point) {
+        for (let i = this.level.entities.length - 1; i >= 0; i--) {
+            const box = LevelEditor.getFootprint(this.level.entities[i]);
+            if (point.x >= box.x && point.x <= box.x + box.width && point.y >= box.y && point.y <= box.y + box.height) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    draw() {
+        const { ctx, scale, scrollX } = this;
+        const { width, height } = this.elements.canvas;
+        const toScreenX = (x) => (x - scrollX) * scale;
+
+        ctx.fillStyle = '#1a1a1a';
+        ctx.fillRect(0, 0, width, height);
+
+        // Street and distance markers
+        ctx.fillStyle = '#444';
+        ctx.fillRect(0, 450 * scale, width, height - 450 * scale);
+        ctx.fillStyle = '#666';
+        ctx.font = '10px monospace';
+        for (let x = Math.floor(scrollX / 500) * 500; toScreenX(x) < width; x += 500) {
+            ctx.fillRect(toScreenX(x), 0, 1, height);
+            ctx.fillText(String(x), toScreenX(x) + 3, 12);
+        }
+
+        // Level end and playtest start
+        ctx.fillStyle = '#ff1744';
+        ctx.fillRect(toScreenX(this.level.length), 0, 3, height);
+        ctx.fillStyle = '#39ff14';
+        ctx.fillRect(toScreenX(this.playtestX), 0, 2, height);
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        this.level.entities.forEach((entry, index) => {
+            const box = LevelEditor.getFootprint(entry);
+            const left = toScreenX(box.x);
+            if (left > width || left + box.width * scale < 0) return;
+
+            ctx.globalAlpha = ['wall', 'pattern', 'boss'].includes(entry.type) ? 0.35 : 0.85;
+            ctx.fillStyle = box.color;
+            ctx.fillRect(left, box.y * scale, box.width * scale, box.height * scale);
+            ctx.globalAlpha = 1;
+
+            if (index === this.selectedIndex) {
+                ctx.strokeStyle = '#ffffff';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(left, box.y * scale, box.width * scale, box.height * scale);
+            }
+
+            const item = EDITOR_PALETTE.find(candidate => candidate.entry.type === entry.type &&
+                (candidate.entry.kind === undefined || candidate.entry.kind === entry.kind));
+            ctx.fillStyle = '#ffffff';
+            ctx.font = '14px sans-serif';
+            ctx.fillText(entry.type === 'pattern' ? entry.name : item?.icon ?? '?',
+                left + box.width * scale / 2, (box.y + box.height / 2) * scale);
+        });
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'alphabetic';
+    }
+
+    // Editable fields for an entity, as dotted paths into its level data
+    getFields(entry) {
+        const fields = [{ path: 'x', label: 'x', type: 'number' }];
+        if (!['wall', 'pattern', 'boss'].includes(entry.type)) {
+            fields.push({ path: 'y', label: 'y', type: 'number' });
+        }
+
+        switch (entry.type) {
+            case 'moving_obstacle':
+                fields.push(
+                    { path: 'ai.type', label: 'AI', type: 'select', options: LevelData.AI_TYPES },
+                    { path: 'ai.speed', label: 'מהירות', type: 'number' },
+                    { path: 'ai.range', label: 'טווח', type: 'number' },
+                    { path: 'ai.idleTime', label: 'המתנה', type: 'number' }
+                );
+                // Falls through for the shared obstacle fields
+            case 'obstacle':
+                fields.push(
+                    { path: 'kind', label: 'סוג', type: 'text' },
+                    { path: 'damage', label: 'נזק', type: 'number' }
+                );
+                break;
+            case 'collectible':
+                fields.push(
+                    { path: 'kind', label: 'סוג', type: 'select', options: LevelData.COLLECTIBLE_KINDS },
+                    { path: 'value', label: 'ערך', type: 'number' },
+                    { path: 'count', label: 'כמות', type: 'number' },
+                    { path: 'spacing', label: 'מרווח', type: 'number' }
+                );
+                if (entry.kind === 'power_up') {
+                    fields.push({ path: 'powerUp', label: 'כוח', type: 'select', options: Object.keys(POWER_UPS) });
+                }
+                break;
+            case 'platform':
+            case 'rail':
+                fields.push({ path: 'width', label: 'רוחב', type: 'number' });
+                break;
+            case 'wall':
+                for (const color of Object.keys(PAINT_COLORS)) {
+                    fields.push({ path: `recipe.${color}`, label: color, type: 'number' });
+                }
+                break;
+            case 'pattern':
+                fields.push({
+                    path: 'name',
+                    label: 'תבנית',
+                    type: 'select',
+                    options: this.game.worldGenerator.patterns.map(pattern => pattern.name)
+                });
+                break;
+            case 'boss':
+                fields.push({ path: 'kind', label: 'בוס', type: 'select', options: Object.keys(BOSSES) });
+                break;
+        }
+        return fields;
+    }
+
+    renderInspector() {
+        const inspector = this.elements.inspector;
+        const entry = this.level.entities[this.selectedIndex];
+        inspector.innerHTML = '';
+
+        if (!entry) {
+            inspector.textContent = 'גרור פריט אל הרחוב או בחר פריט קיים';
+            return;
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = entry.type;
+        inspector.appendChild(title);
+
+        for (const field of this.getFields(entry)) {
+            const label = document.createElement('label');
+            label.className = 'editor-field';
+            label.textContent = field.label;
+
+            const input = document.createElement(field.type === 'select' ? 'select' : 'input');
+            if (field.type === 'select') {
+                input.append(...field.options.map(option => new Option(option, option)));
+            } else {
+                input.type = field.type;
+            }
+            input.value = LevelEditor.getPath(entry, field.path) ?? '';
+            input.addEventListener('change', () => {
+                const raw = input.value.trim();
+                const value = field.type === 'number' ? (raw === '' ? undefined : Number(raw)) : raw;
+                LevelEditor.setPath(entry, field.path, value);
+                this.refresh();
+            });
+
+            label.appendChild(input);
+            inspector.appendChild(label);
+        }
+
+        const remove = document.createElement('button');
+        remove.className = 'menu-btn';
+        remove.textContent = 'מחק';
+        remove.addEventListener('click', () => this.removeSelected());
+        inspector.appendChild(remove);
+    }
+
+    renderGoals() {
+        const container = this.elements.goals;
+        container.innerHTML = '<h3>מטרות</h3>';
+
+        this.level.goals.forEach((goal, index) => {
+            const row = document.createElement('div');
+            row.className = 'editor-field';
+
+            const type = document.createElement('select');
+            type.append(...Object.keys(LEVEL_GOALS).map(key => new Option(key, key)));
+            type.value = goal.type;
+            type.addEventListener('change', () => {
+                goal.type = type.value;
+                if (goal.type === 'no_hit') delete goal.target;
+                this.refresh();
+            });
+
+            const target = document.createElement('input');
+            target.type = 'number';
+            target.min = '1';
+            target.value = goal.target ?? '';
+            target.disabled = goal.type === 'no_hit';
+            target.addEventListener('change', () => {
+                goal.target = Number(target.value);
+                this.refresh();
+            });
+
+            const remove = document.createElement('button');
+            remove.textContent = '✖';
+            remove.addEventListener('click', () => {
+                this.level.goals.splice(index, 1);
+                this.refresh();
+            });
+
+            row.append(type, target, remove);
+            container.appendChild(row);
+        });
+
+        const add = document.createElement('button');
+        add.className = 'menu-btn';
+        add.textContent = '+ מטרה';
+        add.addEventListener('click', () => {
+            this.level.goals.push({ type: 'collect_coins', target: 10 });
+            this.refresh();
+        });
+        container.appendChild(add);
+    }
+
+    // Returns the validation problems, one per line, or an empty list
+    validate() {
+        try {
+            LevelData.validateLevel(this.level, this.game.worldGenerator.patterns.map(pattern => pattern.name));
+            return [];
+        } catch (e) {
+            return e.message.split('\n').slice(1).map(line => line.trim());
+        }
+    }
+
+    showErrors(errors) {
+        this.elements.errors.classList.toggle('hidden', errors.length === 0);
+        // Messages quote values from loaded files - never parse them as markup
+        this.elements.errors.replaceChildren(...errors.map(error => {
+            const line = document.createElement('div');
+            line.textContent = `⚠️ ${error}`;
+            return line;
+        }));
+    }
+
+    save() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            this.showErrors(errors);
+            return;
+        }
+
+        // Entities in street order keep saved files easy to diff
+        const level = { ...this.level, version: LevelData.VERSION };
+        level.entities = [...level.entities].sort((a, b) => a.x - b.x);
+
+        const blob = new Blob([JSON.stringify(level, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    async load(file) {
+        try {
+            const level = JSON.parse(await file.text());
+            LevelData.validateLevel(level, this.game.worldGenerator.patterns.map(pattern => pattern.name));
+            this.setLevel(level);
+        } catch (e) {
+            console.warn('Failed to load level:', e);
+            this.showErrors(e.message.split('\n').map(line => line.trim()));
+        }
+    }
+
+    playtest() {
+        try {
+            this.game.playtestLevel(this.level, this.playtestX);
+        } catch (e) {
+            this.showErrors(e.message.split('\n').map(line => line.trim()));
+        }
+    }
+
+    static getPath(object, path) {
+        return path.split('.').reduce((value, key) => value?.[key], object);
+    }
+
+    // Setting undefined removes the key, and drops objects it leaves empty
+    static setPath(object, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        let parent = object;
+        for (const key of keys) {
+            parent[key] ??= {};
+            parent = parent[key];
+        }
+
+        if (value === undefined || value === 0 && keys[0] === 'recipe') {
+            delete parent[last];
+        } else {
+            parent[last] = value;
+        }
+
+        if (keys.length > 0 && keys[0] !== 'recipe' && Object.keys(parent).length === 0) {
+            delete object[keys[0]];
+        }
+    }
+}
+
+window.LevelEditor = LevelEditor;
@@ -85,9 +85,25 @@ class Physics extends Component {
         this.grounded = false;
         this.onGround = false;
         this.groundY = 0;
+        this.surface = null; // Platform entity underneath, null on the street
     }
 }
 
+// Collision layers (bit flags). Two colliders are only tested when each
+// one's layer is in the other's mask.
+const CollisionLayer = {
+    NONE: 0,
+    DEFAULT: 1 << 0,
+    PLAYER: 1 << 1,
+    OBSTACLE: 1 << 2,
+    COLLECTIBLE: 1 << 3,
+    STREETART: 1 << 4,
+    PLATFORM: 1 << 5,
+    WEAKPOINT: 1 << 6,
+    PROJECTILE: 1 << 7,
+    ALL: 0xffffffff
+};
+
 class Collider extends Component {
     constructor(width = 32, height = 32, offsetX = 0, offsetY = 0) {
         super();
@@ -96,9 +112,29 @@ class Collider extends Component {
         this.offsetX = offsetX;
         this.offsetY = offsetY;
         this.isTrigger = false;
-        this.layer = 'default';
+        this.layer = CollisionLayer.DEFAULT;
+        this.mask = CollisionLayer.ALL;
         this.tags = new Set();
     }
+    
+    setLayer(layer, mask = CollisionLayer.ALL) {
+        this.layer = layer;
+        this.mask = mask;
+        return this;
+    }
+    
+    canCollideWith(other) {
+        return (this.layer & other.mask) !== 0 && (other.layer & this.mask) !== 0;
+    }
+}
+
+// Solid top surface that physics bodies can land on and ride along.
+// One-way platforms (ledges) can be jumped through from below.
+class Platform extends Component {
+    constructor(oneWay = false) {
+        super();
+        this.oneWay = oneWay;
+    }
 }
 
 class Health extends Component {
@@ -125,7 +161,11 @@ class PlayerController extends Component {
     constructor() {
         super();
         this.jumpForce = 400;
-        this.moveSpeed = 250;
+        this.moveSpeed = 100; // Pixels per second at game speed 1, and the distance rate
+        this.speedBoost = 1;  // Set by power-ups
+        this.jumpBoost = 1;
+        this.paint = Object.fromEntries(Object.keys(PAINT_COLORS).map(color => [color, 0]));
+        this.maxPaint = 5; // Cans per colour
         this.isJumping = false;
         this.isDucking = false;
         this.isSpraying = false;
@@ -150,6 +190,10 @@ class AIController extends Component {
         this.target = null;
         this.pathIndex = 0;
         this.lastAction = null;
+        this.memory = new Map();  // Behaviour tree node -> this entity's progress in it
+        this.trace = [];          // Nodes ticked last step { depth, label, status }, for the debug overlay
+        this.telegraphing = false; // Winding up an attack
+        this.direction = 1;        // Heading for patrols, 1 right / -1 left
     }
 }
 
@@ -158,6 +202,8 @@ class Collectible extends Component {
         super();
         this.type = type;
         this.value = value;
+        this.powerUp = null; // Power-up kind, for type 'power_up'
+        this.color = null;   // Paint colour, for 'paint_*' types
         this.collected = false;
         this.floatOffset = Math.random() * Math.PI * 2;
         this.floatSpeed = 2;
@@ -184,21 +230,120 @@ class Obstacle extends Component {
         this.type = type;
         this.damage = damage;
         this.hit = false;
+        this.passed = false;
+        this.side = 0;          // Which side of the rider it was last clear of: -1 behind, 1 ahead
         this.pattern = null;
         this.moveSpeed = 0;
         this.activationDistance = 200;
     }
 }
 
-class StreetArt extends Component {
+// Active timed effects (power-ups) on an entity, keyed by kind
+class TimedEffects extends Component {
+    constructor() {
+        super();
+        this.effects = new Map(); // kind -> { remaining, duration }
+    }
+    
+    add(kind, duration) {
+        // Picking up the same power-up again refreshes its timer
+        this.effects.set(kind, { remaining: duration, duration });
+    }
+    
+    has(kind) {
+        return this.effects.has(kind);
+    }
+    
+    remove(kind) {
+        return this.effects.delete(kind);
+    }
+}
+
+// Grindable rail - a one-way platform that scores while the rider slides along it
+class Rail extends Component {
+    constructor(pointsPerSecond = 60) {
+        super();
+        this.pointsPerSecond = pointsPerSecond;
+    }
+}
+
+class TrickController extends Component {
     constructor() {
+        super();
+        this.inputBuffer = [];       // Actions pressed in the air, oldest first
+        this.inputTimer = 0;         // Time since the last buffered press
+        this.currentTrick = null;    // { name, points, duration, timer }
+        this.airTricks = [];         // Tricks completed during this jump
+        this.grinding = false;
+        this.grindTime = 0;
+        this.grindPoints = 0;        // Earned on the current rail, paid out when it ends
+        this.wasAirborne = false;
+        this.previousActions = { jump: false, duck: false, spray: false };
+    }
+}
+
+// Paint colours the rider can collect, by name
+const PAINT_COLORS = {
+    red: '#ff1744',
+    blue: '#00d4ff',
+    yellow: '#ffff00',
+    green: '#39ff14',
+    purple: '#b026ff'
+};
+
+class StreetArt extends Component {
+    constructor(recipe = {}) {
         super();
         this.painted = false;
         this.paintProgress = 0;
         this.requiredPaint = 100;
-        this.artStyle = 'graffiti';
+        this.artStyle = 'tag';    // Graffiti piece revealed as the wall is painted
+        this.variant = 1;
+        this.sprayMarks = [];     // Where spray landed, in wall-local pixels { x, y, radius }
+        this.recipe = recipe;   // Cans of each colour the wall asks for, e.g. { red: 2, blue: 1 }
+        this.matched = false;   // Painted with the requested colours
         this.colors = ['#ff6b6b', '#4ecdc4', '#ffe66d', '#95e1d3'];
         this.baseColor = '#666666';
+        this.wavePhase = 0;       // Shifts the base coat's waves, so neighbouring walls differ
+    }
+    
+    // Graffiti styles generated by the assets layer (graffiti_<style>_<variant>)
+    static get STYLES() { return ['tag', 'mural', 'stencil', 'throw_up', 'piece']; }
+}
+
+// Scripted adversary (see BOSSES). Its Health drops while the rider sprays
+// the weak point during the exposed part of the fight.
+class Boss extends Component {
+    constructor(kind) {
+        super();
+        this.kind = kind;
+        this.phase = 0;              // Index into the boss's phases
+        this.attackTimer = 0;        // Time since the last volley
+        this.attacksSinceExposed = 0;
+        this.telegraph = null;       // Volley being wound up: { entries, duration }
+        this.weakPoint = null;       // Sprayable WeakPoint entity
+        this.hitFlash = 0;           // Seconds left of the flash after a hit
+        this.age = 0;
+    }
+}
+
+class WeakPoint extends Component {
+    constructor(boss) {
+        super();
+        this.boss = boss;
+    }
+}
+
+// Enemy shot (see PROJECTILES). Moved by ProjectileSystem, not PhysicsSystem.
+class Projectile extends Component {
+    constructor(kind, damage = 1, lifetime = 3, gravity = 0) {
+        super();
+        this.kind = kind;
+        this.damage = damage;
+        this.lifetime = lifetime;   // Seconds before it fizzles out
+        this.gravity = gravity;     // Downward pull for lobbed shots
+        this.age = 0;
+        this.deflected = false;     // Sprayed away - harmless from then on
     }
 }
 
@@ -253,6 +398,113 @@ class Entity {
     }
 }
 
+// Game Events
+// Every event carries a plain payload object:
+//   collisionEnter/Stay/Exit  { entityA, entityB, contact: { time, normalX, normalY } }
+//   collected                 { entity, collectible, type, value, x, y }
+//   damaged                   { entity, source, amount, health, x, y }
+//   wallSprayed               { entity, wall, x, y, progress }
+//   wallPainted               { entity, wall, wallsPainted, matched, bonus }
+//   achievementUnlocked       { id, achievement }
+//   jumped / landed / sprayed { entity, x, y } (landed also has impactSpeed)
+//   trickStarted              { entity, name, x, y }
+//   trickLanded               { entity, name, points, x, y } (air tricks and grinds)
+//   bailed                    { entity, tricks, x, y }
+//   grindStarted              { entity, rail }
+//   nearMiss                  { entity, obstacle, clearance, x, y }
+//   comboChanged              { multiplier, chain }
+//   powerUpActivated          { entity, kind, duration }
+//   powerUpExpired            { entity, kind } (also when a shield absorbs a hit)
+//   bossAppeared              { boss, kind }
+//   bossPhaseChanged          { boss, kind, phase }
+//   bossAttackTelegraphed     { boss, kind, entries, duration }
+//   bossHit                   { boss, kind, amount, health, max, x, y }
+//   bossDefeated              { boss, kind, reward, x, y }
+//   bossEscaped               { boss, kind }
+//   projectileFired           { entity, projectile, kind, x, y }
+//   projectileDeflected       { entity, projectile, kind, x, y }
+const GameEvents = Object.freeze({
+    COLLISION_ENTER: 'collisionEnter',
+    COLLISION_STAY: 'collisionStay',
+    COLLISION_EXIT: 'collisionExit',
+    COLLECTED: 'collected',
+    DAMAGED: 'damaged',
+    WALL_SPRAYED: 'wallSprayed',
+    WALL_PAINTED: 'wallPainted',
+    ACHIEVEMENT_UNLOCKED: 'achievementUnlocked',
+    JUMPED: 'jumped',
+    LANDED: 'landed',
+    SPRAYED: 'sprayed',
+    TRICK_STARTED: 'trickStarted',
+    TRICK_LANDED: 'trickLanded',
+    BAILED: 'bailed',
+    GRIND_STARTED: 'grindStarted',
+    NEAR_MISS: 'nearMiss',
+    COMBO_CHANGED: 'comboChanged',
+    POWERUP_ACTIVATED: 'powerUpActivated',
+    POWERUP_EXPIRED: 'powerUpExpired',
+    BOSS_APPEARED: 'bossAppeared',
+    BOSS_PHASE_CHANGED: 'bossPhaseChanged',
+    BOSS_ATTACK_TELEGRAPHED: 'bossAttackTelegraphed',
+    BOSS_HIT: 'bossHit',
+    BOSS_DEFEATED: 'bossDefeated',
+    BOSS_ESCAPED: 'bossEscaped',
+    PROJECTILE_FIRED: 'projectileFired',
+    PROJECTILE_DEFLECTED: 'projectileDeflected'
+});
+
+// Event Bus - systems publish and subscribe instead of calling each other
+class EventBus {
+    constructor() {
+        this.listeners = new Map();
+        this.knownTypes = new Set(Object.values(GameEvents));
+    }
+
+    on(type, handler) {
+        this.assertKnownType(type);
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(handler);
+        return () => this.off(type, handler);
+    }
+
+    once(type, handler) {
+        const unsubscribe = this.on(type, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(type, handler) {
+        const handlers = this.listeners.get(type);
+        if (handlers) {
+            const index = handlers.indexOf(handler);
+            if (index > -1) {
+                handlers.splice(index, 1);
+            }
+        }
+    }
+
+    emit(type, payload = {}) {
+        this.assertKnownType(type);
+        const handlers = this.listeners.get(type);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        for (const handler of [...handlers]) {
+            handler(payload);
+        }
+    }
+
+    assertKnownType(type) {
+        if (!this.knownTypes.has(type)) {
+            throw new Error(`Unknown game event: ${type}`);
+        }
+    }
+}
+
 // System Base Class
 class System {
     constructor(game) {
@@ -274,6 +526,7 @@ class PhysicsSystem extends System {
     constructor(game) {
         super(game);
         this.gravity = 800; // pixels per second squared
+        this.groundY = 450; // Street level in world units (see Renderer.drawBackground)
     }
     
     update(deltaTime, entities) {
@@ -284,10 +537,6 @@ class PhysicsSystem extends System {
             const velocity = entity.getComponent('Velocity');
             const physics = entity.getComponent('Physics');
             
-            // Store previous position
-            transform.previousX = transform.x;
-            transform.previousY = transform.y;
-            
             // Apply gravity if not static
             if (!physics.static) {
                 velocity.vy += physics.grounded ? 0 : this.gravity * deltaTime;
@@ -307,22 +556,36 @@ class PhysicsSystem extends System {
             transform.y += velocity.vy * deltaTime;
             
             // Ground collision
-            const groundY = this.game.renderer.canvas.height - 150; // Street level
+            // Fixed world coordinates, so physics (and replays) don't depend on window size
+            const groundY = this.groundY;
             if (transform.y + transform.height > groundY) {
                 transform.y = groundY - transform.height;
                 
                 if (velocity.vy > 0) {
+                    const impactSpeed = velocity.vy;
                     velocity.vy = -velocity.vy * physics.bounce;
                     physics.onGround = true;
                     physics.grounded = true;
                     physics.groundY = groundY;
+                    physics.surface = null;
                     
                     // Landing effect
-                    if (entity.hasTag('player') && Math.abs(velocity.vy) > 100) {
-                        this.game.effectsSystem.createLandingEffect(transform.x + transform.width/2, groundY);
-                        Assets.playSound('land');
+                    if (entity.hasTag('player') && impactSpeed > 100) {
+                        this.game.events.emit(GameEvents.LANDED, {
+                            entity,
+                            x: transform.x + transform.width/2,
+                            y: groundY,
+                            impactSpeed
+                        });
                     }
                 }
+            } else if (physics.surface) {
+                // Riding a platform: stay grounded only while it's underneath
+                if (!physics.grounded || !this.isSupportedBy(entity, physics.surface)) {
+                    physics.grounded = false;
+                    physics.onGround = false;
+                    physics.surface = null;
+                }
             } else {
                 physics.onGround = false;
                 if (physics.grounded && velocity.vy > 50) {
@@ -331,52 +594,246 @@ class PhysicsSystem extends System {
             }
         }
     }
+    
+    isSupportedBy(entity, surface) {
+        if (surface.destroy) return false;
+        
+        const transform = entity.getComponent('Transform');
+        const collider = entity.getComponent('Collider');
+        const surfaceTransform = surface.getComponent('Transform');
+        const surfaceCollider = surface.getComponent('Collider');
+        if (!collider || !surfaceCollider) return false;
+        
+        const left = transform.x + collider.offsetX;
+        const bottom = transform.y + collider.offsetY + collider.height;
+        const surfaceLeft = surfaceTransform.x + surfaceCollider.offsetX;
+        const surfaceTop = surfaceTransform.y + surfaceCollider.offsetY;
+        
+        return left < surfaceLeft + surfaceCollider.width &&
+               left + collider.width > surfaceLeft &&
+               Math.abs(bottom - surfaceTop) < 1;
+    }
+}
+
+// Uniform grid broad phase: only colliders sharing a cell become candidate pairs
+class SpatialHash {
+    constructor(cellSize = 128) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+    
+    clear() {
+        this.cells.clear();
+    }
+    
+    insert(entity, rect) {
+        const minX = Math.floor(rect.x / this.cellSize);
+        const maxX = Math.floor((rect.x + rect.width) / this.cellSize);
+        const minY = Math.floor(rect.y / this.cellSize);
+        const maxY = Math.floor((rect.y + rect.height) / this.cellSize);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const key = `${cx},${cy}`;
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entity);
+            }
+        }
+    }
+    
+    // Each pair is returned once, even when the two share several cells
+    getPotentialPairs() {
+        const pairs = [];
+        const seen = new Set();
+        
+        for (const cell of this.cells.values()) {
+            for (let i = 0; i < cell.length; i++) {
+                for (let j = i + 1; j < cell.length; j++) {
+                    const entityA = cell[i];
+                    const entityB = cell[j];
+                    const key = entityA.id < entityB.id ? `${entityA.id}|${entityB.id}` : `${entityB.id}|${entityA.id}`;
+                    
+                    if (!seen.has(key)) {
+                        seen.add(key);
+                        pairs.push([entityA, entityB]);
+                    }
+                }
+            }
+        }
+        
+        return pairs;
+    }
 }
 
 class CollisionSystem extends System {
     constructor(game) {
         super(game);
         this.collisions = [];
+        this.spatialHash = new SpatialHash(128);
+        this.activeContacts = new Map(); // pair key -> { entityA, entityB }
+        
+        // Gameplay responses run on every frame of contact
+        game.events.on(GameEvents.COLLISION_ENTER, (collision) => this.handleCollision(collision));
+        game.events.on(GameEvents.COLLISION_STAY, (collision) => this.handleCollision(collision));
     }
     
     update(deltaTime, entities) {
         this.collisions = [];
+        const contacts = new Map();
         const colliderEntities = this.getEntitiesWith('Transform', 'Collider');
         
-        // Check all collision pairs
-        for (let i = 0; i < colliderEntities.length; i++) {
-            for (let j = i + 1; j < colliderEntities.length; j++) {
-                const entityA = colliderEntities[i];
-                const entityB = colliderEntities[j];
-                
-                if (this.checkCollision(entityA, entityB)) {
-                    this.handleCollision(entityA, entityB);
-                }
+        // Broad phase - colliders that can't hit anything stay out of the grid.
+        // Each collider covers its whole path this step, so fast movers can't skip cells.
+        this.spatialHash.clear();
+        for (const entity of colliderEntities) {
+            const collider = entity.getComponent('Collider');
+            if (collider.mask === CollisionLayer.NONE || collider.layer === CollisionLayer.NONE) continue;
+            this.spatialHash.insert(entity, this.getSweptBounds(entity));
+        }
+        
+        // Narrow phase on candidate pairs whose layers interact
+        for (const [entityA, entityB] of this.spatialHash.getPotentialPairs()) {
+            const colliderA = entityA.getComponent('Collider');
+            const colliderB = entityB.getComponent('Collider');
+            if (!colliderA.canCollideWith(colliderB)) continue;
+            
+            const contact = this.checkCollision(entityA, entityB);
+            if (contact) {
+                const key = this.getPairKey(entityA, entityB);
+                contacts.set(key, { entityA, entityB, contact });
+                this.collisions.push({ entityA, entityB, contact });
+            }
+        }
+        
+        // Publish enter/stay/exit by comparing with last step's contacts
+        const previousContacts = this.activeContacts;
+        this.activeContacts = contacts;
+        
+        for (const [key, contact] of contacts) {
+            const type = previousContacts.has(key) ? GameEvents.COLLISION_STAY : GameEvents.COLLISION_ENTER;
+            this.game.events.emit(type, contact);
+        }
+        
+        for (const [key, contact] of previousContacts) {
+            if (!contacts.has(key)) {
+                this.game.events.emit(GameEvents.COLLISION_EXIT, contact);
             }
         }
     }
     
-    checkCollision(entityA, entityB) {
-        const transformA = entityA.getComponent('Transform');
-        const colliderA = entityA.getComponent('Collider');
-        const transformB = entityB.getComponent('Transform');
-        const colliderB = entityB.getComponent('Collider');
-        
-        const rectA = {
-            x: transformA.x + colliderA.offsetX,
-            y: transformA.y + colliderA.offsetY,
-            width: colliderA.width,
-            height: colliderA.height
+    getPairKey(entityA, entityB) {
+        return entityA.id < entityB.id ? `${entityA.id}|${entityB.id}` : `${entityB.id}|${entityA.id}`;
+    }
+    
+    getColliderRect(entity, previous = false) {
+        const transform = entity.getComponent('Transform');
+        const collider = entity.getComponent('Collider');
+        
+        return {
+            x: (previous ? transform.previousX : transform.x) + collider.offsetX,
+            y: (previous ? transform.previousY : transform.y) + collider.offsetY,
+            width: collider.width,
+            height: collider.height
+        };
+    }
+    
+    getSweptBounds(entity) {
+        const current = this.getColliderRect(entity);
+        const previous = this.getColliderRect(entity, true);
+        const x = Math.min(current.x, previous.x);
+        const y = Math.min(current.y, previous.y);
+        
+        return {
+            x,
+            y,
+            width: Math.max(current.x, previous.x) + current.width - x,
+            height: Math.max(current.y, previous.y) + current.height - y
         };
+    }
+    
+    /**
+     * Test a pair over the whole step. Returns null, or a contact with the
+     * time of impact (0..1 through the step) and the normal of the surface
+     * on entityB that entityA touched (pointing from B toward A).
+     */
+    checkCollision(entityA, entityB) {
+        const startA = this.getColliderRect(entityA, true);
+        const startB = this.getColliderRect(entityB, true);
+        const endA = this.getColliderRect(entityA);
+        const endB = this.getColliderRect(entityB);
+        
+        const swept = this.sweptAABB(
+            startA, { x: endA.x - startA.x, y: endA.y - startA.y },
+            startB, { x: endB.x - startB.x, y: endB.y - startB.y }
+        );
+        if (swept) return swept;
+        
+        // Overlapping at the end of the step without a swept entry (e.g. a
+        // collider that was resized this step, like ducking)
+        if (this.rectIntersects(endA, endB)) {
+            return { time: 0, ...this.getPenetrationNormal(endA, endB) };
+        }
+        
+        return null;
+    }
+    
+    sweptAABB(rectA, moveA, rectB, moveB) {
+        // Work in B's frame: only the relative motion matters
+        const vx = moveA.x - moveB.x;
+        const vy = moveA.y - moveB.y;
+        
+        if (this.rectIntersects(rectA, rectB)) {
+            return { time: 0, ...this.getPenetrationNormal(rectA, rectB) };
+        }
         
-        const rectB = {
-            x: transformB.x + colliderB.offsetX,
-            y: transformB.y + colliderB.offsetY,
-            width: colliderB.width,
-            height: colliderB.height
+        const axis = (aMin, aSize, bMin, bSize, velocity) => {
+            if (velocity > 0) {
+                return { entry: (bMin - (aMin + aSize)) / velocity, exit: (bMin + bSize - aMin) / velocity };
+            }
+            if (velocity < 0) {
+                return { entry: (bMin + bSize - aMin) / velocity, exit: (bMin - (aMin + aSize)) / velocity };
+            }
+            // Not moving on this axis: either always overlapping or never
+            const overlapping = aMin < bMin + bSize && aMin + aSize > bMin;
+            return overlapping ? { entry: -Infinity, exit: Infinity } : null;
         };
         
-        return this.rectIntersects(rectA, rectB);
+        const xAxis = axis(rectA.x, rectA.width, rectB.x, rectB.width, vx);
+        const yAxis = axis(rectA.y, rectA.height, rectB.y, rectB.height, vy);
+        if (!xAxis || !yAxis) return null;
+        
+        const entry = Math.max(xAxis.entry, yAxis.entry);
+        const exit = Math.min(xAxis.exit, yAxis.exit);
+        if (entry >= exit || entry < 0 || entry > 1) return null;
+        
+        // The axis entered last is the face that was hit
+        if (xAxis.entry > yAxis.entry) {
+            return { time: entry, normalX: vx > 0 ? -1 : 1, normalY: 0 };
+        }
+        return { time: entry, normalX: 0, normalY: vy > 0 ? -1 : 1 };
+    }
+    
+    // For already-overlapping rects: push out along the axis of least overlap
+    getPenetrationNormal(rectA, rectB) {
+        const overlapX = Math.min(rectA.x + rectA.width, rectB.x + rectB.width) - Math.max(rectA.x, rectB.x);
+        const overlapY = Math.min(rectA.y + rectA.height, rectB.y + rectB.height) - Math.max(rectA.y, rectB.y);
+        
+        if (overlapX < overlapY) {
+            const normalX = rectA.x + rectA.width / 2 < rectB.x + rectB.width / 2 ? -1 : 1;
+            return { normalX, normalY: 0 };
+        }
+        const normalY = rectA.y + rectA.height / 2 < rectB.y + rectB.height / 2 ? -1 : 1;
+        return { normalX: 0, normalY };
+    }
+    
+    // Contact normal as seen from one of the pair (pointing toward that entity)
+    getContactNormal(collision, entity) {
+        const sign = entity === collision.entityA ? 1 : -1;
+        return { x: collision.contact.normalX * sign, y: collision.contact.normalY * sign };
     }
     
     rectIntersects(rectA, rectB) {
@@ -386,9 +843,11 @@ class CollisionSystem extends System {
                rectA.y + rectA.height > rectB.y;
     }
     
-    handleCollision(entityA, entityB) {
-        const collision = { entityA, entityB };
-        this.collisions.push(collision);
+    handleCollision(collision) {
+        const { entityA, entityB } = collision;
+        
+        // Solid surfaces first - landing on a van roof isn't a crash
+        if (this.resolvePlatformContact(collision)) return;
         
         // Player vs Obstacle
         if ((entityA.hasTag('player') && entityB.hasTag('obstacle')) ||
@@ -413,40 +872,73 @@ class CollisionSystem extends System {
             const streetart = entityA.hasTag('streetart') ? entityA : entityB;
             this.handlePlayerStreetArtCollision(player, streetart);
         }
+        
+        // Player vs Boss weak point
+        if ((entityA.hasTag('player') && entityB.hasTag('weakpoint')) ||
+            (entityB.hasTag('player') && entityA.hasTag('weakpoint'))) {
+            const player = entityA.hasTag('player') ? entityA : entityB;
+            const weakPoint = entityA.hasTag('weakpoint') ? entityA : entityB;
+            this.handlePlayerWeakPointCollision(player, weakPoint);
+        }
+        
+        // Player vs Projectile
+        if ((entityA.hasTag('player') && entityB.hasTag('projectile')) ||
+            (entityB.hasTag('player') && entityA.hasTag('projectile'))) {
+            const player = entityA.hasTag('player') ? entityA : entityB;
+            const projectile = entityA.hasTag('projectile') ? entityA : entityB;
+            this.handlePlayerProjectileCollision(player, projectile);
+        }
+    }
+    
+    /**
+     * Land a physics body on a platform it hit from above. Returns true when
+     * the contact was a landing; side and underside hits are left to the
+     * other handlers (one-way ledges ignore them entirely).
+     */
+    resolvePlatformContact(collision) {
+        const { entityA, entityB } = collision;
+        const platform = entityA.hasComponent('Platform') ? entityA : entityB.hasComponent('Platform') ? entityB : null;
+        const body = platform === entityA ? entityB : entityA;
+        if (!platform || !body.hasComponent('Physics') || !body.hasComponent('Velocity')) return false;
+        
+        const physics = body.getComponent('Physics');
+        const velocity = body.getComponent('Velocity');
+        const normal = this.getContactNormal(collision, body);
+        
+        if (normal.y !== -1 || velocity.vy < 0) {
+            return platform.getComponent('Platform').oneWay;
+        }
+        
+        // Snap onto the top surface
+        const transform = body.getComponent('Transform');
+        const collider = body.getComponent('Collider');
+        const platformTop = this.getColliderRect(platform).y;
+        transform.y = platformTop - collider.offsetY - collider.height;
+        
+        const impactSpeed = velocity.vy;
+        velocity.vy = 0;
+        physics.grounded = true;
+        physics.onGround = true;
+        physics.groundY = platformTop;
+        physics.surface = platform;
+        
+        if (body.hasTag('player') && impactSpeed > 100) {
+            this.game.events.emit(GameEvents.LANDED, {
+                entity: body,
+                x: transform.x + transform.width/2,
+                y: platformTop,
+                impactSpeed
+            });
+        }
+        
+        return true;
     }
     
     handlePlayerObstacleCollision(player, obstacle) {
-        const playerHealth = player.getComponent('Health');
         const obstacleComponent = obstacle.getComponent('Obstacle');
-        const playerTransform = player.getComponent('Transform');
         
-        if (playerHealth && !playerHealth.invulnerable && !obstacleComponent.hit) {
-            const damaged = playerHealth.takeDamage(obstacleComponent.damage);
-            
-            if (damaged) {
-                obstacleComponent.hit = true;
-                playerHealth.invulnerable = true;
-                playerHealth.invulnerabilityTime = 1.5;
-                
-                // Screen shake
-                this.game.renderer.addShake(10);
-                
-                // Crash effect
-                this.game.effectsSystem.createCrashEffect(
-                    playerTransform.x + playerTransform.width/2,
-                    playerTransform.y + playerTransform.height/2
-                );
-                
-                // Update lives display
-                this.game.ui.updateLives(playerHealth.current);
-                
-                Assets.playSound('crash');
-                
-                // Game over check
-                if (playerHealth.current <= 0) {
-                    this.game.gameOver();
-                }
-            }
+        if (!obstacleComponent.hit && this.game.hurtPlayer(player, obstacleComponent.damage, obstacle)) {
+            obstacleComponent.hit = true;
         }
     }
     
@@ -470,30 +962,26 @@ class CollisionSystem extends System {
                             playerController.maxSprayPower,
                             playerController.sprayPower + 25
                         );
-                        this.game.ui.updateSprayPower(playerController.sprayPower / playerController.maxSprayPower);
                     }
                     break;
-                case 'power_up':
-                    // Temporary invulnerability
-                    const playerHealth = player.getComponent('Health');
-                    if (playerHealth) {
-                        playerHealth.invulnerable = true;
-                        playerHealth.invulnerabilityTime = 3.0;
-                    }
-                    Assets.playSound('powerup');
-                    break;
                 case 'coin':
-                default:
-                    Assets.playSound('collect');
+                    this.game.stats.coinsCollected++;
                     break;
             }
             
-            // Collect effect
-            this.game.effectsSystem.createCollectEffect(
-                playerTransform.x + playerTransform.width/2,
-                playerTransform.y + playerTransform.height/2,
-                collectibleComponent.type
-            );
+            if (collectibleComponent.color && playerController) {
+                const paint = playerController.paint;
+                paint[collectibleComponent.color] = Math.min(playerController.maxPaint, paint[collectibleComponent.color] + 1);
+            }
+            
+            this.game.events.emit(GameEvents.COLLECTED, {
+                entity: player,
+                collectible,
+                type: collectibleComponent.type,
+                value: collectibleComponent.value,
+                x: playerTransform.x + playerTransform.width/2,
+                y: playerTransform.y + playerTransform.height/2
+            });
             
             // Remove collectible
             collectible.destroy = true;
@@ -511,35 +999,80 @@ class CollisionSystem extends System {
             artComponent.paintProgress += deltaSpray;
             playerController.sprayPower = Math.max(0, playerController.sprayPower - deltaSpray/2);
             
-            this.game.ui.updateSprayPower(playerController.sprayPower / playerController.maxSprayPower);
-            
-            // Create spray particles
+            // Paint lands on the wall just ahead of the rider, anywhere up its lower
+            // half - scattered with the run's RNG so replays paint the same marks
+            const random = this.game.random;
             const transform = streetart.getComponent('Transform');
-            this.game.effectsSystem.createSprayEffect(
-                transform.x + Math.random() * transform.width,
-                transform.y + Math.random() * transform.height
-            );
+            const playerTransform = player.getComponent('Transform');
+            const localX = Math.max(0, Math.min(transform.width,
+                playerTransform.x + playerTransform.width - transform.x + random.range(0, 30)));
+            const localY = transform.height * random.range(0.45, 0.95);
+            artComponent.sprayMarks.push({ x: localX, y: localY, radius: random.range(18, 32) });
+            
+            this.game.events.emit(GameEvents.WALL_SPRAYED, {
+                entity: player,
+                wall: streetart,
+                x: transform.x + localX,
+                y: transform.y + localY,
+                progress: artComponent.paintProgress / artComponent.requiredPaint
+            });
             
             if (artComponent.paintProgress >= artComponent.requiredPaint && !artComponent.painted) {
                 artComponent.painted = true;
-                this.game.addScore(100);
-                this.game.stats.wallsPainted++;
                 
-                // Achievement check
-                this.game.achievementsSystem.checkAchievement('first_wall', this.game.stats.wallsPainted >= 1);
-                this.game.achievementsSystem.checkAchievement('artist', this.game.stats.wallsPainted >= 10);
+                // Having every colour the wall asks for spends it on a matching mural
+                const recipe = Object.entries(artComponent.recipe);
+                const paint = playerController.paint;
+                artComponent.matched = recipe.length > 0 && recipe.every(([color, amount]) => paint[color] >= amount);
                 
-                Assets.playSound('achievement');
+                let bonus = 0;
+                if (artComponent.matched) {
+                    for (const [color, amount] of recipe) {
+                        paint[color] -= amount;
+                        bonus += 50 * amount;
+                    }
+                    artComponent.colors = recipe.map(([color]) => PAINT_COLORS[color]);
+                }
+                
+                this.game.addScore(100 + bonus);
+                this.game.stats.wallsPainted++;
+                
+                this.game.events.emit(GameEvents.WALL_PAINTED, {
+                    entity: player,
+                    wall: streetart,
+                    wallsPainted: this.game.stats.wallsPainted,
+                    matched: artComponent.matched,
+                    bonus
+                });
                 
                 // Update sprite to painted version
                 const sprite = streetart.getComponent('Sprite');
                 if (sprite) {
-                    if (sprite.type === 'building1') sprite.frame = 'colored_building1';
-                    else if (sprite.type === 'building2') sprite.frame = 'colored_building2';
+                    if (sprite.frame === 'building1') sprite.frame = 'colored_building1';
+                    else if (sprite.frame === 'building2') sprite.frame = 'colored_building2';
                 }
             }
         }
     }
+    
+    handlePlayerProjectileCollision(player, projectile) {
+        const projectileComponent = projectile.getComponent('Projectile');
+        if (projectileComponent.deflected || projectile.destroy) return;
+        
+        // Spent on impact, even against a shield or invulnerability
+        this.game.hurtPlayer(player, projectileComponent.damage, projectile);
+        projectile.destroy = true;
+    }
+    
+    handlePlayerWeakPointCollision(player, weakPoint) {
+        const playerController = player.getComponent('PlayerController');
+        if (!playerController?.actions.spray || playerController.sprayPower <= 0) return;
+        
+        const damage = 25 * this.game.deltaTime; // Health per second of spraying
+        if (this.game.hurtBoss(weakPoint.getComponent('WeakPoint').boss, damage)) {
+            playerController.sprayPower = Math.max(0, playerController.sprayPower - 25 * this.game.deltaTime);
+        }
+    }
 }
 
 class AnimationSystem extends System {
@@ -575,6 +1108,152 @@ class AnimationSystem extends System {
     }
 }
 
+// Trick definitions - combos are the air actions pressed, in order
+const TRICKS = [
+    { name: 'Superman', combo: ['duck', 'spray'], points: 250, duration: 0.6 },
+    { name: 'Tailwhip', combo: ['spray', 'duck'], points: 300, duration: 0.65 },
+    { name: 'Double Barspin', combo: ['spray', 'spray'], points: 220, duration: 0.55 },
+    { name: 'Tuck No-Hander', combo: ['duck', 'duck'], points: 180, duration: 0.5 },
+    { name: 'Can-Can', combo: ['spray'], points: 120, duration: 0.4 },
+    { name: 'Tabletop', combo: ['duck'], points: 100, duration: 0.35 }
+];
+
+// Trick System - air tricks from input combos, grinds on rails, bails on bad landings.
+// Runs before PlayerSystem, which clears the action flags.
+class TrickSystem extends System {
+    constructor(game) {
+        super(game);
+        this.comboWindow = 0.2; // Seconds to wait for a second combo input
+        this.maxComboLength = Math.max(...TRICKS.map(trick => trick.combo.length));
+    }
+    
+    update(deltaTime, entities) {
+        const riders = this.getEntitiesWith('Transform', 'Physics', 'PlayerController', 'TrickController');
+        
+        for (const rider of riders) {
+            const controller = rider.getComponent('PlayerController');
+            const physics = rider.getComponent('Physics');
+            const tricks = rider.getComponent('TrickController');
+            const airborne = controller.isJumping && !physics.grounded;
+            
+            if (airborne) {
+                this.updateAirTricks(rider, tricks, controller, deltaTime);
+            } else if (tricks.wasAirborne) {
+                this.land(rider, tricks);
+            }
+            
+            this.updateGrind(rider, tricks, physics, deltaTime);
+            
+            tricks.wasAirborne = airborne;
+            tricks.previousActions = { ...controller.actions };
+        }
+    }
+    
+    updateAirTricks(rider, tricks, controller, deltaTime) {
+        // A trick in progress has to finish before the next one starts
+        if (tricks.currentTrick) {
+            tricks.currentTrick.timer += deltaTime;
+            if (tricks.currentTrick.timer >= tricks.currentTrick.duration) {
+                tricks.airTricks.push(tricks.currentTrick);
+                tricks.currentTrick = null;
+            }
+            return;
+        }
+        
+        // Buffer newly pressed actions (edges, not held keys)
+        for (const action of ['duck', 'spray']) {
+            if (controller.actions[action] && !tricks.previousActions[action]) {
+                tricks.inputBuffer.push(action);
+                tricks.inputTimer = 0;
+            }
+        }
+        
+        if (tricks.inputBuffer.length === 0) return;
+        tricks.inputTimer += deltaTime;
+        
+        if (tricks.inputBuffer.length >= this.maxComboLength || tricks.inputTimer >= this.comboWindow) {
+            this.startTrick(rider, tricks);
+        }
+    }
+    
+    startTrick(rider, tricks) {
+        const buffer = tricks.inputBuffer.join('+');
+        const trick = TRICKS.find(candidate => candidate.combo.join('+') === buffer) ||
+                      TRICKS.find(candidate => candidate.combo.join('+') === tricks.inputBuffer[0]);
+        tricks.inputBuffer = [];
+        tricks.inputTimer = 0;
+        if (!trick) return;
+        
+        tricks.currentTrick = { name: trick.name, points: trick.points, duration: trick.duration, timer: 0 };
+        
+        const transform = rider.getComponent('Transform');
+        this.game.events.emit(GameEvents.TRICK_STARTED, {
+            entity: rider,
+            name: trick.name,
+            x: transform.x + transform.width/2,
+            y: transform.y
+        });
+    }
+    
+    land(rider, tricks) {
+        const transform = rider.getComponent('Transform');
+        const x = transform.x + transform.width/2;
+        const y = transform.y;
+        
+        if (tricks.currentTrick) {
+            // Touched down mid-trick: everything from this jump is lost
+            const lost = [...tricks.airTricks, tricks.currentTrick];
+            tricks.currentTrick = null;
+            tricks.airTricks = [];
+            tricks.inputBuffer = [];
+            
+            this.game.events.emit(GameEvents.BAILED, { entity: rider, tricks: lost.map(trick => trick.name), x, y });
+            this.game.hurtPlayer(rider, 1, null);
+        } else if (tricks.airTricks.length > 0) {
+            // Each extra trick in one jump adds 50% to the whole chain
+            const names = tricks.airTricks.map(trick => trick.name);
+            const basePoints = tricks.airTricks.reduce((sum, trick) => sum + trick.points, 0);
+            const points = Math.round(basePoints * (1 + 0.5 * (names.length - 1)));
+            tricks.airTricks = [];
+            
+            this.game.addScore(points);
+            this.game.events.emit(GameEvents.TRICK_LANDED, { entity: rider, name: names.join(' + '), points, x, y });
+        }
+        
+        tricks.inputBuffer = [];
+    }
+    
+    updateGrind(rider, tricks, physics, deltaTime) {
+        const rail = physics.grounded ? physics.surface?.getComponent('Rail') : null;
+        
+        if (rail) {
+            if (!tricks.grinding) {
+                tricks.grinding = true;
+                tricks.grindTime = 0;
+                this.game.events.emit(GameEvents.GRIND_STARTED, { entity: rider, rail: physics.surface });
+            }
+            tricks.grindTime += deltaTime;
+            tricks.grindPoints = Math.round(tricks.grindTime * rail.pointsPerSecond);
+        } else if (tricks.grinding) {
+            tricks.grinding = false;
+            
+            const transform = rider.getComponent('Transform');
+            const points = tricks.grindPoints;
+            if (points > 0) {
+                this.game.addScore(points);
+                this.game.events.emit(GameEvents.TRICK_LANDED, {
+                    entity: rider,
+                    name: 'Grind',
+                    points,
+                    x: transform.x + transform.width/2,
+                    y: transform.y
+                });
+            }
+            tricks.grindPoints = 0;
+        }
+    }
+}
+
 class PlayerSystem extends System {
     update(deltaTime, entities) {
         const players = this.getEntitiesWith('Transform', 'Velocity', 'PlayerController');
@@ -605,18 +1284,20 @@ class PlayerSystem extends System {
                 this.game.ui.updateSprayPower(controller.sprayPower / controller.maxSprayPower);
             }
             
+            // Ride forward at the run's speed, so x stays startX + distance
+            velocity.vx = this.game.getRunSpeed();
+            
             // Handle input actions
             if (controller.actions.jump && physics.grounded && !controller.isJumping) {
-                velocity.vy = -controller.jumpForce;
+                velocity.vy = -controller.jumpForce * controller.jumpBoost;
                 physics.grounded = false;
                 controller.isJumping = true;
-                Assets.playSound('jump');
                 
-                // Jump effect
-                this.game.effectsSystem.createJumpEffect(
-                    transform.x + transform.width/2,
-                    transform.y + transform.height
-                );
+                this.game.events.emit(GameEvents.JUMPED, {
+                    entity: player,
+                    x: transform.x + transform.width/2,
+                    y: transform.y + transform.height
+                });
                 
                 // Update animation
                 if (animation) {
@@ -652,13 +1333,11 @@ class PlayerSystem extends System {
             if (controller.actions.spray && controller.sprayPower > 0) {
                 controller.isSpraying = true;
                 
-                // Create spray particles
-                this.game.effectsSystem.createSprayEffect(
-                    transform.x + transform.width + 5,
-                    transform.y + transform.height/2
-                );
-                
-                Assets.playSound('spray');
+                this.game.events.emit(GameEvents.SPRAYED, {
+                    entity: player,
+                    x: transform.x + transform.width + 5,
+                    y: transform.y + transform.height/2
+                });
                 
                 // Update animation
                 if (animation) {
@@ -701,146 +1380,754 @@ class PlayerSystem extends System {
     }
 }
 
-class AISystem extends System {
-    update(deltaTime, entities) {
-        const aiEntities = this.getEntitiesWith('Transform', 'AIController');
-        
-        for (const entity of aiEntities) {
-            const transform = entity.getComponent('Transform');
-            const ai = entity.getComponent('AIController');
-            const velocity = entity.getComponent('Velocity');
-            
-            ai.timer += deltaTime;
-            
-            switch (ai.type) {
-                case 'patrol':
-                    this.updatePatrolAI(entity, ai, transform, velocity, deltaTime);
-                    break;
-                case 'chase':
-                    this.updateChaseAI(entity, ai, transform, velocity, deltaTime);
-                    break;
-                case 'guard':
-                    this.updateGuardAI(entity, ai, transform, velocity, deltaTime);
-                    break;
+// Grey Corporation bosses. A phase starts once health falls to `below` (a
+// fraction of full health). Volleys are level data entities, dropped one
+// every `dropInterval` seconds at `dropX` from the boss's left edge.
+const BOSSES = {
+    armored_truck: {
+        name: 'משאית משוריינת',
+        icon: '🚚',
+        health: 100,
+        reward: 1500,
+        width: 200,
+        height: 120,
+        y: 330,
+        exposedY: 330,
+        lead: 380,                                          // How far ahead of the rider it drives
+        dropX: -70,
+        throwSpeed: 120,                                    // Volleys slide back at the rider this fast
+        weakPoint: { x: 0, y: 30, width: 48, height: 90 },  // Rear doors
+        escapeAfter: 60,
+        phases: [
+            {
+                below: 1, interval: 2.5, telegraph: 1, dropInterval: 0.6, exposeAfter: 2, exposedTime: 3,
+                volley: [{ type: 'obstacle', kind: 'cone', x: 0 }]
+            },
+            {
+                below: 0.6, interval: 2, telegraph: 0.8, dropInterval: 0.6, exposeAfter: 2, exposedTime: 2.5,
+                volley: [{ type: 'obstacle', kind: 'cone', x: 0 }, { type: 'obstacle', kind: 'barrier', x: 0 }]
+            },
+            {
+                below: 0.3, interval: 1.8, telegraph: 0.7, dropInterval: 0.55, exposeAfter: 3, exposedTime: 2.5,
+                volley: [
+                    { type: 'obstacle', kind: 'barrier', x: 0 },
+                    { type: 'obstacle', kind: 'pothole', x: 0 },
+                    { type: 'obstacle', kind: 'barrier', x: 0 }
+                ]
             }
-        }
+        ]
+    },
+    drone_mothership: {
+        name: 'ספינת אם',
+        icon: '🛸',
+        health: 140,
+        reward: 2500,
+        width: 260,
+        height: 100,
+        y: 40,
+        exposedY: 250,                                        // Low enough to spray the core
+        lead: 340,
+        dropX: 20,
+        throwSpeed: 80,
+        weakPoint: { x: 106, y: 100, width: 48, height: 100 }, // Core hanging under the hull
+        escapeAfter: 75,
+        phases: [
+            {
+                below: 1, interval: 3, telegraph: 1, dropInterval: 0.8, exposeAfter: 2, exposedTime: 3,
+                volley: [{ type: 'moving_obstacle', kind: 'security_drone', x: 0, y: 150, ai: { type: 'chase', speed: 60, range: 400 } }]
+            },
+            {
+                below: 0.5, interval: 2.4, telegraph: 0.8, dropInterval: 0.6, exposeAfter: 3, exposedTime: 2.5,
+                volley: [
+                    { type: 'obstacle', kind: 'cone', x: 0, y: 150 },
+                    { type: 'moving_obstacle', kind: 'security_drone', x: 0, y: 150, ai: { type: 'chase', speed: 80, range: 400 } },
+                    { type: 'obstacle', kind: 'cone', x: 0, y: 150 }
+                ]
+            }
+        ]
     }
-    
-    updatePatrolAI(entity, ai, transform, velocity, deltaTime) {
-        const patrolSpeed = ai.config.speed || 50;
-        const patrolRange = ai.config.range || 200;
-        const startX = ai.config.startX || transform.x;
-        
-        switch (ai.state) {
-            case 'idle':
-                if (ai.timer > (ai.config.idleTime || 2)) {
-                    ai.state = 'moving';
-                    ai.timer = 0;
-                    ai.direction = Math.random() > 0.5 ? 1 : -1;
-                }
-                break;
-                
-            case 'moving':
-                velocity.vx = patrolSpeed * ai.direction;
-                
-                if (Math.abs(transform.x - startX) > patrolRange || ai.timer > 4) {
-                    ai.state = 'turning';
-                    ai.timer = 0;
-                }
-                break;
-                
-            case 'turning':
-                velocity.vx = 0;
-                if (ai.timer > 0.5) {
-                    ai.direction *= -1;
-                    ai.state = 'moving';
-                    ai.timer = 0;
-                }
-                break;
+};
+
+// Behaviour trees for AIController. Enemy types are plain data: each node is
+// { type, name?, ...params } and ticks to 'success', 'failure' or 'running'.
+//
+//   sequence        children - runs them in order, resuming at the one still
+//                   running. Conditions before it are re-checked every tick,
+//                   so an action stops as soon as its condition fails.
+//   selector        children - the first child that doesn't fail wins. Checked
+//                   from the top every tick, so a higher branch can take over.
+//   sensePlayer     range, holdRange? - condition: the rider is within range;
+//                   once sensed it stays sensed out to holdRange
+//   pickDirection   face left or right at random
+//   moveTo          target: home | player, offset?, heading?, speed, tolerance?,
+//                   timeout? - with heading the offset is along the facing
+//   wait            duration - stand still
+//   telegraph       duration - stand still with a warning shown over the entity
+//   fireProjectile  kind, speed?, count?, spread? - a volley aimed ahead of the
+//                   rider; spread is the vertical speed between shots
+//   flee            speed, range? - run from the rider until out of range
+//
+// A numeric param can name a config value instead: '$speed', '-$range' or
+// '$range*1.5'. Config comes from the entity's AIController, over the
+// behaviour's defaults; every name a tree uses must have a default.
+const AI_BEHAVIORS = {
+    patrol: {
+        defaults: { speed: 80, range: 150, idleTime: 2 },
+        tree: {
+            type: 'sequence',
+            children: [
+                { type: 'wait', name: 'idle', duration: '$idleTime' },
+                { type: 'pickDirection' },
+                { type: 'moveTo', name: 'patrol out', target: 'home', offset: '$range', heading: true, speed: '$speed', timeout: 4 },
+                { type: 'wait', name: 'turn', duration: 0.5 },
+                { type: 'moveTo', name: 'patrol back', target: 'home', offset: '-$range', heading: true, speed: '$speed', timeout: 4 },
+                { type: 'wait', name: 'turn', duration: 0.5 }
+            ]
+        }
+    },
+    chase: {
+        defaults: { speed: 80, range: 150 },
+        tree: {
+            type: 'selector',
+            children: [
+                {
+                    type: 'sequence',
+                    name: 'chase',
+                    children: [
+                        { type: 'sensePlayer', range: '$range' },
+                        { type: 'moveTo', target: 'player', speed: '$speed', tolerance: 0 }
+                    ]
+                },
+                { type: 'wait', name: 'idle', duration: 0 }
+            ]
+        }
+    },
+    // Alerts when the rider comes close, pursues once they're still in range
+    // after the alert, and only gives up well outside it
+    guard: {
+        defaults: { speed: 80, range: 150, alertRange: 100 },
+        tree: {
+            type: 'selector',
+            children: [
+                {
+                    type: 'sequence',
+                    name: 'pursue',
+                    children: [
+                        { type: 'sensePlayer', range: '$alertRange', holdRange: '$range*1.5' },
+                        { type: 'wait', name: 'alert', duration: 1 },
+                        { type: 'sensePlayer', range: '$range', holdRange: '$range*1.5' },
+                        { type: 'moveTo', target: 'player', speed: '$speed', tolerance: 0 }
+                    ]
+                },
+                { type: 'moveTo', name: 'return', target: 'home', speed: '$speed' }
+            ]
+        }
+    },
+    // Hovers in place and fires volleys of grey paint at a rider in range
+    sentry: {
+        defaults: { range: 500, volley: 3, cooldown: 1.5 },
+        tree: {
+            type: 'selector',
+            children: [
+                {
+                    type: 'sequence',
+                    name: 'fire',
+                    children: [
+                        { type: 'sensePlayer', range: '$range' },
+                        { type: 'telegraph', name: 'aim', duration: 0.7 },
+                        { type: 'fireProjectile', kind: 'grey_paint', count: '$volley', spread: 60 },
+                        { type: 'wait', name: 'reload', duration: '$cooldown' }
+                    ]
+                },
+                { type: 'wait', name: 'idle', duration: 0 }
+            ]
+        }
+    },
+    // Corporate guard on the street, lobbing nets
+    net_guard: {
+        defaults: { speed: 60, range: 450, cooldown: 2.5 },
+        tree: {
+            type: 'selector',
+            children: [
+                {
+                    type: 'sequence',
+                    name: 'net',
+                    children: [
+                        { type: 'sensePlayer', range: '$range' },
+                        { type: 'telegraph', name: 'aim', duration: 0.9 },
+                        { type: 'fireProjectile', kind: 'net' },
+                        { type: 'wait', name: 'reload', duration: '$cooldown' }
+                    ]
+                },
+                { type: 'moveTo', name: 'return', target: 'home', speed: '$speed' }
+            ]
+        }
+    },
+    // Backs away from the rider, then drifts home
+    skittish: {
+        defaults: { speed: 140, range: 220, homeSpeed: 40 },
+        tree: {
+            type: 'selector',
+            children: [
+                {
+                    type: 'sequence',
+                    name: 'scared',
+                    children: [
+                        { type: 'sensePlayer', range: '$range' },
+                        { type: 'flee', speed: '$speed' }
+                    ]
+                },
+                { type: 'moveTo', name: 'return', target: 'home', speed: '$homeSpeed' }
+            ]
         }
     }
+};
+
+class BehaviorTree {
+    static get CONDITIONS() { return ['sensePlayer']; }
     
-    updateChaseAI(entity, ai, transform, velocity, deltaTime) {
-        const player = this.game.player;
-        if (!player) return;
+    /**
+     * Tick a tree for one entity. context is { entity, ai, transform,
+     * velocity, config, deltaTime, game }; every node visited is appended to
+     * ai.trace for the debug overlay.
+     */
+    static tick(node, context, depth = 0) {
+        const entry = { depth, label: node.name || node.type, status: null };
+        context.ai.trace.push(entry);
+        
+        switch (node.type) {
+            case 'sequence': entry.status = BehaviorTree.sequence(node, context, depth); break;
+            case 'selector': entry.status = BehaviorTree.selector(node, context, depth); break;
+            case 'sensePlayer': entry.status = BehaviorTree.sensePlayer(node, context); break;
+            case 'pickDirection': entry.status = BehaviorTree.pickDirection(node, context); break;
+            case 'moveTo': entry.status = BehaviorTree.moveTo(node, context); break;
+            case 'wait': entry.status = BehaviorTree.wait(node, context); break;
+            case 'telegraph': entry.status = BehaviorTree.telegraph(node, context); break;
+            case 'fireProjectile': entry.status = BehaviorTree.fireProjectile(node, context); break;
+            case 'flee': entry.status = BehaviorTree.flee(node, context); break;
+            default:
+                throw new Error(`Unknown behaviour tree node "${node.type}"`);
+        }
         
-        const playerTransform = player.getComponent('Transform');
-        const chaseSpeed = ai.config.speed || 100;
-        const chaseRange = ai.config.range || 300;
+        return entry.status;
+    }
+    
+    static sequence(node, context, depth) {
+        const memory = BehaviorTree.getMemory(node, context, () => ({ index: 0 }));
+        
+        for (let i = 0; i < node.children.length; i++) {
+            const child = node.children[i];
+            
+            // Earlier actions already succeeded; only conditions run again
+            if (i < memory.index && !BehaviorTree.CONDITIONS.includes(child.type)) continue;
+            
+            const status = BehaviorTree.tick(child, context, depth + 1);
+            if (status === 'running') {
+                memory.index = i;
+                return 'running';
+            }
+            if (status === 'failure') {
+                BehaviorTree.reset(node, context);
+                return 'failure';
+            }
+        }
         
-        const distance = Math.abs(transform.x - playerTransform.x);
+        BehaviorTree.reset(node, context);
+        return 'success';
+    }
+    
+    static selector(node, context, depth) {
+        const memory = BehaviorTree.getMemory(node, context, () => ({ running: -1 }));
         
-        if (distance < chaseRange) {
-            ai.state = 'chasing';
-            const direction = transform.x < playerTransform.x ? 1 : -1;
-            velocity.vx = chaseSpeed * direction;
+        for (let i = 0; i < node.children.length; i++) {
+            const status = BehaviorTree.tick(node.children[i], context, depth + 1);
+            if (status === 'failure') continue;
             
-            // Update sprite direction
-            const sprite = entity.getComponent('Sprite');
-            if (sprite) {
-                sprite.flipX = direction < 0;
+            // A higher branch took over; the one that was running starts over next time
+            if (memory.running > i) {
+                BehaviorTree.reset(node.children[memory.running], context);
+            }
+            memory.running = status === 'running' ? i : -1;
+            return status;
+        }
+        
+        memory.running = -1;
+        return 'failure';
+    }
+    
+    static sensePlayer(node, context) {
+        const player = context.game.player?.getComponent('Transform');
+        if (!player) return 'failure';
+        
+        const distance = Math.abs(player.x - context.transform.x);
+        const memory = context.ai.memory.get(node);
+        const range = memory?.sensed ? BehaviorTree.param(node, 'holdRange', context) : BehaviorTree.param(node, 'range', context);
+        
+        if (distance <= range) {
+            // Remembered until the parent resets, so the hold range applies from now on
+            if (node.holdRange !== undefined) BehaviorTree.getMemory(node, context, () => ({ sensed: true }));
+            return 'success';
+        }
+        BehaviorTree.reset(node, context);
+        return 'failure';
+    }
+    
+    static pickDirection(node, context) {
+        context.ai.direction = context.game.random.chance(0.5) ? 1 : -1;
+        return 'success';
+    }
+    
+    static moveTo(node, context) {
+        const { transform, velocity, config } = context;
+        const memory = BehaviorTree.getMemory(node, context, () => ({ timer: 0 }));
+        memory.timer += context.deltaTime;
+        
+        const player = context.game.player?.getComponent('Transform');
+        if (node.target === 'player' && !player) return 'failure';
+        
+        const base = node.target === 'player' ? player.x : config.startX ?? transform.x;
+        const offset = BehaviorTree.param(node, 'offset', context) ?? 0;
+        const targetX = base + (node.heading ? offset * context.ai.direction : offset);
+        const dx = targetX - transform.x;
+        const tolerance = BehaviorTree.param(node, 'tolerance', context) ?? 10;
+        const timeout = BehaviorTree.param(node, 'timeout', context);
+        
+        // Arrived, or gave up after the timeout
+        if (Math.abs(dx) <= tolerance || (timeout !== undefined && memory.timer >= timeout)) {
+            if (velocity) velocity.vx = 0;
+            BehaviorTree.reset(node, context);
+            return 'success';
+        }
+        
+        BehaviorTree.move(context, dx, BehaviorTree.param(node, 'speed', context));
+        return 'running';
+    }
+    
+    static wait(node, context) {
+        const memory = BehaviorTree.getMemory(node, context, () => ({ timer: 0 }));
+        memory.timer += context.deltaTime;
+        if (context.velocity) context.velocity.vx = 0;
+        
+        if (memory.timer >= BehaviorTree.param(node, 'duration', context)) {
+            BehaviorTree.reset(node, context);
+            return 'success';
+        }
+        return 'running';
+    }
+    
+    // A wait that shows a warning, so the attack after it can be read
+    static telegraph(node, context) {
+        const status = BehaviorTree.wait(node, context);
+        context.ai.telegraphing = status === 'running';
+        return status;
+    }
+    
+    static fireProjectile(node, context) {
+        const player = context.game.player;
+        const playerTransform = player?.getComponent('Transform');
+        if (!playerTransform) return 'failure';
+        
+        const { transform, entity } = context;
+        const definition = PROJECTILES[node.kind];
+        const x = transform.x + transform.width/2;
+        const y = transform.y + transform.height/2;
+        const speed = BehaviorTree.param(node, 'speed', context) ?? definition.speed;
+        const count = BehaviorTree.param(node, 'count', context) ?? 1;
+        const spread = BehaviorTree.param(node, 'spread', context) ?? 0;
+        
+        const aim = ProjectileSystem.aim(
+            x, y,
+            playerTransform.x + playerTransform.width/2,
+            playerTransform.y + playerTransform.height/2,
+            player.getComponent('Velocity')?.vx ?? 0,
+            speed,
+            definition.gravity
+        );
+        
+        for (let i = 0; i < count; i++) {
+            const vy = aim.vy + (i - (count - 1) / 2) * spread;
+            const projectile = context.game.worldGenerator.spawnProjectile(x, y, node.kind, aim.vx, vy);
+            context.game.events.emit(GameEvents.PROJECTILE_FIRED, { entity, projectile, kind: node.kind, x, y });
+        }
+        return 'success';
+    }
+    
+    static flee(node, context) {
+        const player = context.game.player?.getComponent('Transform');
+        if (!player) return 'success';
+        
+        const dx = context.transform.x - player.x;
+        const range = BehaviorTree.param(node, 'range', context);
+        if (range !== undefined && Math.abs(dx) > range) {
+            if (context.velocity) context.velocity.vx = 0;
+            return 'success';
+        }
+        
+        BehaviorTree.move(context, dx || 1, BehaviorTree.param(node, 'speed', context));
+        return 'running';
+    }
+    
+    // Move along x at speed in the direction of dx, facing that way
+    static move(context, dx, speed) {
+        const direction = Math.sign(dx);
+        if (context.velocity) context.velocity.vx = speed * direction;
+        
+        const sprite = context.entity.getComponent('Sprite');
+        if (sprite) sprite.flipX = direction < 0;
+    }
+    
+    // A node param, with '$name', '-$name' and '$name*scale' read from the entity's config
+    static param(node, key, context) {
+        const value = node[key];
+        if (typeof value !== 'string') return value;
+        
+        const [, sign, name, scale] = value.match(BehaviorTree.PARAM_PATTERN);
+        return context.config[name] * (sign ? -1 : 1) * (scale ? Number(scale) : 1);
+    }
+    
+    static get PARAM_PATTERN() { return /^(-)?\$(\w+)(?:\*(\d+(?:\.\d+)?))?$/; }
+    
+    /**
+     * Check a behaviour when it is loaded: every node type must be known and
+     * every config reference must have a default, so a missing value can't
+     * leave a wait or moveTo running forever.
+     */
+    static validate(name, behavior, node = behavior.tree, path = `${name}.tree`) {
+        if (!BehaviorTree.NODE_TYPES.includes(node.type)) {
+            throw new Error(`${path}: unknown node type "${node.type}"`);
+        }
+        
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'children' || typeof value !== 'string' || !/^-?\$/.test(value)) continue;
+            
+            const match = value.match(BehaviorTree.PARAM_PATTERN);
+            if (!match) {
+                throw new Error(`${path}.${key}: malformed config reference "${value}"`);
+            }
+            if (!(match[2] in (behavior.defaults || {}))) {
+                throw new Error(`${path}.${key}: "${value}" refers to "${match[2]}", which has no default`);
+            }
+        }
+        
+        (node.children || []).forEach((child, i) => {
+            BehaviorTree.validate(name, behavior, child, `${path}.children[${i}]`);
+        });
+    }
+    
+    static get NODE_TYPES() {
+        return ['sequence', 'selector', 'sensePlayer', 'pickDirection', 'moveTo', 'wait', 'telegraph', 'fireProjectile', 'flee'];
+    }
+    
+    static getMemory(node, context, create) {
+        let memory = context.ai.memory.get(node);
+        if (!memory) {
+            memory = create();
+            context.ai.memory.set(node, memory);
+        }
+        return memory;
+    }
+    
+    // Forget a node's progress, and its children's
+    static reset(node, context) {
+        context.ai.memory.delete(node);
+        for (const child of node.children || []) {
+            BehaviorTree.reset(child, context);
+        }
+    }
+}
+
+class AISystem extends System {
+    constructor(game) {
+        super(game);
+        
+        for (const [name, behavior] of Object.entries(AI_BEHAVIORS)) {
+            BehaviorTree.validate(name, behavior);
+        }
+    }
+    
+    update(deltaTime, entities) {
+        const aiEntities = this.getEntitiesWith('Transform', 'AIController');
+        
+        for (const entity of aiEntities) {
+            const transform = entity.getComponent('Transform');
+            const ai = entity.getComponent('AIController');
+            const velocity = entity.getComponent('Velocity');
+            
+            ai.timer += deltaTime;
+            
+            if (ai.type === 'boss') {
+                this.updateBossAI(entity, ai, transform, velocity, deltaTime);
+            } else {
+                this.updateBehavior(entity, ai, transform, velocity, deltaTime);
             }
-        } else {
-            ai.state = 'idle';
-            velocity.vx = 0;
         }
     }
     
-    updateGuardAI(entity, ai, transform, velocity, deltaTime) {
-        const guardRange = ai.config.range || 150;
-        const alertRange = ai.config.alertRange || 100;
+    // Tick the entity's behaviour tree; a finished tree starts over next step
+    updateBehavior(entity, ai, transform, velocity, deltaTime) {
+        const behavior = AI_BEHAVIORS[ai.type];
+        if (!behavior) return;
+        
+        ai.trace = [];
+        ai.telegraphing = false;
+        BehaviorTree.tick(behavior.tree, {
+            entity,
+            ai,
+            transform,
+            velocity,
+            config: { ...behavior.defaults, ...ai.config },
+            deltaTime,
+            game: this.game
+        });
         
+        // The deepest running node names what the entity is doing
+        const running = ai.trace.filter(entry => entry.status === 'running');
+        ai.state = running.length > 0 ? running[running.length - 1].label : 'idle';
+    }
+    
+    /**
+     * Boss fight: keep pace ahead of the rider, telegraph each volley before
+     * dropping it, and after a few volleys fall back alongside the rider with
+     * the weak point open. Lower health moves on to the next phase.
+     */
+    updateBossAI(entity, ai, transform, velocity, deltaTime) {
         const player = this.game.player;
         if (!player) return;
         
+        const boss = entity.getComponent('Boss');
+        const definition = BOSSES[boss.kind];
         const playerTransform = player.getComponent('Transform');
-        const distance = Math.abs(transform.x - playerTransform.x);
+        const playerSpeed = player.getComponent('Velocity').vx;
+        const keepAt = (targetX, stiffness = 2) => {
+            velocity.vx = playerSpeed + (targetX - transform.x) * stiffness;
+        };
+        
+        boss.age += deltaTime;
+        boss.hitFlash = Math.max(0, boss.hitFlash - deltaTime);
+        
+        const phaseIndex = this.getBossPhase(definition, entity.getComponent('Health'));
+        if (phaseIndex !== boss.phase && ai.state !== 'defeated') {
+            boss.phase = phaseIndex;
+            boss.attackTimer = 0;
+            boss.attacksSinceExposed = 0;
+            this.game.events.emit(GameEvents.BOSS_PHASE_CHANGED, { boss: entity, kind: boss.kind, phase: phaseIndex });
+        }
+        const phase = definition.phases[boss.phase];
+        
+        // Bosses the rider can't beat in time drive off instead of blocking the run
+        if (boss.age > definition.escapeAfter && ai.state !== 'defeated' && ai.state !== 'escaping') {
+            ai.state = 'escaping';
+            ai.timer = 0;
+            boss.telegraph = null;
+            this.game.events.emit(GameEvents.BOSS_ESCAPED, { boss: entity, kind: boss.kind });
+        }
+        
+        let targetY = definition.y;
         
         switch (ai.state) {
             case 'idle':
-                if (distance < alertRange) {
-                    ai.state = 'alert';
+                // Arriving from off screen
+                keepAt(playerTransform.x + definition.lead);
+                if (Math.abs(playerTransform.x + definition.lead - transform.x) < 20) {
+                    ai.state = 'pursuing';
                     ai.timer = 0;
                 }
                 break;
                 
-            case 'alert':
-                if (ai.timer > 1) {
-                    if (distance < guardRange) {
-                        ai.state = 'pursuing';
-                    } else {
-                        ai.state = 'idle';
-                    }
+            case 'pursuing':
+                keepAt(playerTransform.x + definition.lead);
+                boss.attackTimer += deltaTime;
+                
+                if (boss.attackTimer >= phase.interval) {
+                    boss.attackTimer = 0;
+                    boss.telegraph = { entries: phase.volley, duration: phase.telegraph };
+                    ai.state = 'telegraphing';
                     ai.timer = 0;
+                    
+                    this.game.events.emit(GameEvents.BOSS_ATTACK_TELEGRAPHED, {
+                        boss: entity,
+                        kind: boss.kind,
+                        entries: phase.volley,
+                        duration: phase.telegraph
+                    });
                 }
                 break;
                 
-            case 'pursuing':
-                const pursuitSpeed = ai.config.speed || 120;
-                const direction = transform.x < playerTransform.x ? 1 : -1;
-                velocity.vx = pursuitSpeed * direction;
-                
-                if (distance > guardRange * 1.5) {
-                    ai.state = 'returning';
-                    ai.target = { x: ai.config.startX || transform.x, y: transform.y };
+            case 'telegraphing':
+                keepAt(playerTransform.x + definition.lead);
+                if (ai.timer >= phase.telegraph) {
+                    ai.state = 'attacking';
+                    ai.timer = phase.dropInterval; // First drop right away
+                    ai.pathIndex = 0;
                 }
                 break;
                 
-            case 'returning':
-                if (ai.target) {
-                    const returnSpeed = ai.config.speed || 80;
-                    const directionToStart = transform.x < ai.target.x ? 1 : -1;
-                    velocity.vx = returnSpeed * directionToStart;
+            case 'attacking':
+                keepAt(playerTransform.x + definition.lead);
+                if (ai.timer >= phase.dropInterval) {
+                    ai.timer = 0;
+                    this.game.worldGenerator.spawnVolleyEntry(boss.telegraph.entries[ai.pathIndex], transform.x + definition.dropX, -definition.throwSpeed);
+                    ai.pathIndex++;
                     
-                    if (Math.abs(transform.x - ai.target.x) < 10) {
-                        ai.state = 'idle';
-                        ai.target = null;
-                        velocity.vx = 0;
+                    if (ai.pathIndex >= boss.telegraph.entries.length) {
+                        boss.telegraph = null;
+                        boss.attacksSinceExposed++;
+                        ai.state = boss.attacksSinceExposed >= phase.exposeAfter ? 'exposed' : 'pursuing';
+                        if (ai.state === 'exposed') boss.attacksSinceExposed = 0;
                     }
                 }
                 break;
+                
+            case 'exposed':
+                // Drop back until the weak point rides alongside the rider
+                keepAt(playerTransform.x + playerTransform.width/2 - definition.weakPoint.x - definition.weakPoint.width/2, 3);
+                targetY = definition.exposedY;
+                if (ai.timer >= phase.exposedTime) {
+                    ai.state = 'pursuing';
+                    ai.timer = 0;
+                }
+                break;
+                
+            case 'defeated':
+                velocity.vx = playerSpeed * 0.3;
+                targetY = definition.y + 200;
+                entity.getComponent('Sprite').opacity = Math.max(0, 1 - ai.timer / 2);
+                if (ai.timer >= 2) this.removeBoss(entity, boss);
+                break;
+                
+            case 'escaping':
+                velocity.vx = playerSpeed * 2;
+                if (ai.timer >= 3) this.removeBoss(entity, boss);
+                break;
+        }
+        
+        transform.y += (targetY - transform.y) * Math.min(1, deltaTime * 3);
+        
+        // The weak point rides along with the boss
+        const weakPointTransform = boss.weakPoint?.getComponent('Transform');
+        if (weakPointTransform) {
+            weakPointTransform.x = transform.x + definition.weakPoint.x;
+            weakPointTransform.y = transform.y + definition.weakPoint.y;
+        }
+    }
+    
+    // Phases are ordered by falling health; the last one reached wins
+    getBossPhase(definition, health) {
+        const fraction = health.current / health.max;
+        let index = 0;
+        definition.phases.forEach((phase, i) => {
+            if (fraction <= phase.below) index = i;
+        });
+        return index;
+    }
+    
+    removeBoss(entity, boss) {
+        entity.destroy = true;
+        if (boss.weakPoint) boss.weakPoint.destroy = true;
+    }
+}
+
+// Enemy shot types. Gravity lobs a shot in an arc; 0 flies straight.
+const PROJECTILES = {
+    grey_paint: { speed: 260, gravity: 0, lifetime: 3, damage: 1, size: 16 },
+    net: { speed: 220, gravity: 500, lifetime: 4, damage: 1, size: 28 }
+};
+
+// Projectile System - flight, lifetime and deflection by the rider's spray
+class ProjectileSystem extends System {
+    constructor(game) {
+        super(game);
+        this.groundY = 450;      // Street level (see PhysicsSystem)
+        this.sprayReach = 90;    // How far in front of the rider spray deflects shots
+        this.deflectCost = 5;    // Spray power per deflected shot
+    }
+    
+    update(deltaTime, entities) {
+        const sprayZone = this.getSprayZone();
+        
+        for (const entity of this.getEntitiesWith('Transform', 'Velocity', 'Projectile')) {
+            const transform = entity.getComponent('Transform');
+            const velocity = entity.getComponent('Velocity');
+            const projectile = entity.getComponent('Projectile');
+            
+            projectile.age += deltaTime;
+            velocity.vy += projectile.gravity * deltaTime;
+            transform.x += velocity.vx * deltaTime;
+            transform.y += velocity.vy * deltaTime;
+            transform.rotation = Math.atan2(velocity.vy, velocity.vx);
+            
+            // Fizzle out on the street or when too old
+            if (projectile.age >= projectile.lifetime || transform.y + transform.height >= this.groundY) {
+                entity.destroy = true;
+                continue;
+            }
+            
+            if (sprayZone && !projectile.deflected && this.overlaps(transform, sprayZone)) {
+                this.deflect(entity, projectile, transform, velocity);
+            }
         }
     }
+    
+    // The area just in front of a spraying rider
+    getSprayZone() {
+        const player = this.game.player;
+        const controller = player?.getComponent('PlayerController');
+        if (!controller?.isSpraying || controller.sprayPower < this.deflectCost) return null;
+        
+        const transform = player.getComponent('Transform');
+        return {
+            x: transform.x + transform.width/2,
+            y: transform.y - 40,
+            width: transform.width/2 + this.sprayReach,
+            height: transform.height + 60
+        };
+    }
+    
+    overlaps(transform, zone) {
+        return transform.x < zone.x + zone.width &&
+               transform.x + transform.width > zone.x &&
+               transform.y < zone.y + zone.height &&
+               transform.y + transform.height > zone.y;
+    }
+    
+    // Knock the shot back up the street; it can no longer hurt the rider
+    deflect(entity, projectile, transform, velocity) {
+        const player = this.game.player;
+        const controller = player.getComponent('PlayerController');
+        controller.sprayPower -= this.deflectCost;
+        
+        projectile.deflected = true;
+        velocity.vx = Math.abs(velocity.vx) * 1.5 + player.getComponent('Velocity').vx;
+        velocity.vy = -Math.abs(velocity.vy) - 150;
+        entity.getComponent('Collider')?.setLayer(CollisionLayer.NONE, CollisionLayer.NONE);
+        
+        this.game.stats.projectilesDeflected++;
+        this.game.addScore(25);
+        this.game.events.emit(GameEvents.PROJECTILE_DEFLECTED, {
+            entity: player,
+            projectile: entity,
+            kind: projectile.kind,
+            x: transform.x + transform.width/2,
+            y: transform.y + transform.height/2
+        });
+    }
+    
+    /**
+     * Launch velocity from (x, y) that meets a target moving along x at
+     * targetVx. The shot crosses x at `speed`; with gravity it arcs to
+     * arrive at the target's height.
+     */
+    static aim(x, y, targetX, targetY, targetVx, speed, gravity) {
+        const vx = targetX < x ? -speed : speed;
+        
+        // Time until the shot and the target meet along x
+        let time = (targetX - x) / (vx - targetVx);
+        if (!(time > 0)) time = Math.abs(targetX - x) / speed;
+        time = Math.max(0.2, Math.min(3, time));
+        
+        const vy = (targetY - y - 0.5 * gravity * time * time) / time;
+        return { vx, vy };
+    }
 }
 
 class ParticleSystem extends System {
@@ -882,6 +2169,23 @@ class EffectsSystem extends System {
     constructor(game) {
         super(game);
         this.effectQueue = [];
+        
+        const events = game.events;
+        events.on(GameEvents.JUMPED, ({ x, y }) => this.createJumpEffect(x, y));
+        events.on(GameEvents.LANDED, ({ x, y }) => this.createLandingEffect(x, y));
+        events.on(GameEvents.SPRAYED, ({ x, y }) => this.createSprayEffect(x, y));
+        events.on(GameEvents.WALL_SPRAYED, ({ x, y }) => this.createSprayEffect(x, y));
+        events.on(GameEvents.COLLECTED, ({ x, y, type }) => this.createCollectEffect(x, y, type));
+        events.on(GameEvents.DAMAGED, ({ x, y }) => {
+            this.game.renderer.addShake(10);
+            this.createCrashEffect(x, y);
+        });
+        events.on(GameEvents.BOSS_HIT, ({ x, y }) => this.createSprayEffect(x, y));
+        events.on(GameEvents.PROJECTILE_DEFLECTED, ({ x, y }) => this.createSprayEffect(x, y));
+        events.on(GameEvents.BOSS_DEFEATED, ({ x, y }) => {
+            this.game.renderer.addShake(20);
+            this.createCrashEffect(x, y);
+        });
     }
     
     createJumpEffect(x, y) {
@@ -972,7 +2276,7 @@ class EffectsSystem extends System {
     }
     
     createCollectEffect(x, y, type) {
-        const color = type === 'spray_can' ? '#4ecdc4' : '#ffe66d';
+        const color = PAINT_COLORS[type.replace('paint_', '')] || (type === 'spray_can' ? '#4ecdc4' : '#ffe66d');
         
         for (let i = 0; i < 10; i++) {
             const angle = (i / 10) * Math.PI * 2;
@@ -995,115 +2299,366 @@ class EffectsSystem extends System {
     }
 }
 
-// Achievement System
-class AchievementSystem extends System {
+// Audio System - maps game events to sound effects
+class AudioSystem extends System {
     constructor(game) {
         super(game);
-        this.achievements = this.initAchievements();
-        this.unlockedAchievements = new Set();
-        this.loadProgress();
+        
+        const events = game.events;
+        const play = (sound) => () => this.game.assets.playSound(sound);
+        
+        events.on(GameEvents.JUMPED, play('jump'));
+        events.on(GameEvents.LANDED, play('land'));
+        events.on(GameEvents.SPRAYED, play('spray'));
+        events.on(GameEvents.DAMAGED, play('crash'));
+        events.on(GameEvents.WALL_PAINTED, play('achievement'));
+        events.on(GameEvents.ACHIEVEMENT_UNLOCKED, play('achievement'));
+        events.on(GameEvents.TRICK_STARTED, play('whoosh'));
+        events.on(GameEvents.TRICK_LANDED, play('powerup'));
+        events.on(GameEvents.GRIND_STARTED, play('slide'));
+        events.on(GameEvents.NEAR_MISS, play('whoosh'));
+        events.on(GameEvents.BOSS_ATTACK_TELEGRAPHED, play('whoosh'));
+        events.on(GameEvents.PROJECTILE_FIRED, play('spray'));
+        events.on(GameEvents.PROJECTILE_DEFLECTED, play('whoosh'));
+        events.on(GameEvents.BOSS_DEFEATED, play('crash'));
+        events.on(GameEvents.POWERUP_EXPIRED, ({ kind }) => {
+            if (kind === 'shield') this.game.assets.playSound('crash');
+        });
+        events.on(GameEvents.COLLECTED, ({ type }) => {
+            this.game.assets.playSound(type === 'power_up' ? 'powerup' : 'collect');
+        });
     }
-    
-    initAchievements() {
-        return {
-            first_jump: {
-                name: 'קפיצה ראשונה',
-                description: 'בצע קפיצה ראשונה',
-                icon: '🚴',
-                unlocked: false
-            },
-            first_wall: {
-                name: 'אמן רחוב',
-                description: 'צבע את הקיר הראשון',
-                icon: '🎨',
-                unlocked: false
-            },
-            speed_demon: {
-                name: 'שד המהירות',
-                description: 'עבור 1000 מטר בריצה אחת',
-                icon: '💨',
-                unlocked: false
-            },
-            artist: {
-                name: 'אמן מקצועי',
-                description: 'צבע 10 קירות',
-                icon: '🏆',
-                unlocked: false
-            },
-            survivor: {
-                name: 'שורד',
-                description: 'שחק 5 דקות בלי לאבד חיים',
-                icon: '❤️',
-                unlocked: false
-            },
-            collector: {
-                name: 'אספן',
-                description: 'אסוף 100 מטבעות',
-                icon: '🪙',
-                unlocked: false
-            },
-            rebel: {
-                name: 'מורד אמיתי',
-                description: 'הגע לניקוד של 5000',
-                icon: '✊',
-                unlocked: false
-            },
-            perfectionist: {
-                name: 'פרפקציוניסט',
-                description: 'צבע קיר מלא במהלך קפיצה אחת',
-                icon: '⭐',
-                unlocked: false
+}
+
+// Power-up definitions - a duration of 0 is applied once and not tracked
+const POWER_UPS = {
+    speed: { label: 'מהירות', icon: '⚡', duration: 6, weight: 20 },
+    jump: { label: 'קפיצה', icon: '🦘', duration: 8, weight: 20 },
+    shield: { label: 'מגן', icon: '🛡️', duration: 15, weight: 20 },
+    magnet: { label: 'מגנט', icon: '🧲', duration: 8, weight: 20 },
+    multiplier: { label: 'כפול', icon: '✖️', duration: 10, weight: 12 },
+    life: { label: 'חיים', icon: '❤️', duration: 0, weight: 8 }
+};
+
+// Power-Up System - applies collected power-ups and counts their timers down
+class PowerUpSystem extends System {
+    constructor(game) {
+        super(game);
+        this.speedBoost = 1.4;
+        this.jumpBoost = 1.3;
+        this.scoreBoost = 2;
+        this.magnetRadius = 180;
+        this.magnetSpeed = 450;
+        
+        game.events.on(GameEvents.COLLECTED, ({ entity, collectible, type }) => {
+            if (type === 'power_up') {
+                this.activate(entity, collectible.getComponent('Collectible').powerUp);
             }
-        };
+        });
     }
     
-    checkAchievement(achievementId, condition) {
-        if (condition && !this.achievements[achievementId]?.unlocked) {
-            this.unlockAchievement(achievementId);
+    update(deltaTime, entities) {
+        for (const entity of this.getEntitiesWith('TimedEffects')) {
+            const timedEffects = entity.getComponent('TimedEffects');
+            
+            for (const [kind, effect] of timedEffects.effects) {
+                effect.remaining -= deltaTime;
+                if (effect.remaining <= 0) {
+                    timedEffects.remove(kind);
+                    this.game.events.emit(GameEvents.POWERUP_EXPIRED, { entity, kind });
+                }
+            }
+            
+            this.applyModifiers(entity, timedEffects);
+            
+            if (timedEffects.has('magnet')) {
+                this.pullCollectibles(entity, deltaTime);
+            }
+            
+            if (entity === this.game.player) {
+                this.game.ui.updatePowerUps(timedEffects.effects);
+            }
         }
     }
     
-    unlockAchievement(achievementId) {
-        const achievement = this.achievements[achievementId];
-        if (!achievement || achievement.unlocked) return;
+    activate(entity, kind) {
+        const definition = POWER_UPS[kind];
+        const timedEffects = entity.getComponent('TimedEffects');
+        if (!definition || !timedEffects) return;
         
-        achievement.unlocked = true;
-        this.unlockedAchievements.add(achievementId);
+        if (kind === 'life') {
+            entity.getComponent('Health')?.heal(1);
+        } else {
+            timedEffects.add(kind, definition.duration);
+            this.applyModifiers(entity, timedEffects);
+        }
         
-        // Show notification
-        this.showAchievementNotification(achievement);
+        this.game.events.emit(GameEvents.POWERUP_ACTIVATED, { entity, kind, duration: definition.duration });
+    }
+    
+    // Recomputed every step so an expired effect can never leave a boost behind
+    applyModifiers(entity, timedEffects) {
+        const controller = entity.getComponent('PlayerController');
+        if (!controller) return;
         
-        // Save progress
-        this.saveProgress();
+        controller.speedBoost = timedEffects.has('speed') ? this.speedBoost : 1;
+        controller.jumpBoost = timedEffects.has('jump') ? this.jumpBoost : 1;
+    }
+    
+    pullCollectibles(entity, deltaTime) {
+        const transform = entity.getComponent('Transform');
+        const centerX = transform.x + transform.width/2;
+        const centerY = transform.y + transform.height/2;
+        
+        for (const collectible of this.getEntitiesWith('Transform', 'Collectible')) {
+            const collectibleTransform = collectible.getComponent('Transform');
+            const dx = centerX - (collectibleTransform.x + collectibleTransform.width/2);
+            const dy = centerY - (collectibleTransform.y + collectibleTransform.height/2);
+            const distance = Math.hypot(dx, dy);
+            
+            if (distance > 0 && distance <= this.magnetRadius) {
+                const step = Math.min(distance, this.magnetSpeed * deltaTime);
+                collectibleTransform.x += dx / distance * step;
+                collectibleTransform.y += dy / distance * step;
+            }
+        }
+    }
+    
+    /**
+     * Let an active shield take a hit instead of the entity. Returns true when
+     * the shield absorbed it (the shield is used up).
+     */
+    absorbHit(entity) {
+        const timedEffects = entity.getComponent('TimedEffects');
+        if (!timedEffects?.remove('shield')) return false;
+        
+        this.game.events.emit(GameEvents.POWERUP_EXPIRED, { entity, kind: 'shield' });
+        return true;
+    }
+    
+    getScoreMultiplier() {
+        return this.game.player?.getComponent('TimedEffects')?.has('multiplier') ? this.scoreBoost : 1;
+    }
+}
+
+// Combo System - back-to-back coins, wall paints and near-misses build a
+// score multiplier that decays when the chain goes quiet and breaks on a hit
+class ComboSystem extends System {
+    constructor(game) {
+        super(game);
+        this.chainWindow = 2.5;      // Seconds of grace before the multiplier decays
+        this.decayRate = 0.5;        // Multiplier lost per second once decaying
+        this.maxMultiplier = 5;
+        this.nearMissDistance = 24;  // Pixels of clearance that count as a near-miss
+        this.steps = { coin: 0.1, wall: 0.5, nearMiss: 0.25, deflect: 0.25 };
+        this.reset();
+        
+        const events = game.events;
+        events.on(GameEvents.COLLECTED, ({ type }) => {
+            if (type === 'coin') this.extend('coin');
+        });
+        events.on(GameEvents.WALL_PAINTED, () => this.extend('wall'));
+        events.on(GameEvents.NEAR_MISS, () => this.extend('nearMiss'));
+        events.on(GameEvents.PROJECTILE_DEFLECTED, () => this.extend('deflect'));
+        events.on(GameEvents.DAMAGED, () => this.breakChain());
+    }
+    
+    reset() {
+        this.chain = 0;
+        this.multiplier = 1;
+        this.timer = 0;
+    }
+    
+    update(deltaTime, entities) {
+        this.detectNearMisses();
+        
+        if (this.multiplier <= 1) return;
+        
+        if (this.timer > 0) {
+            this.timer -= deltaTime;
+            return;
+        }
         
-        Assets.playSound('achievement');
+        this.setMultiplier(this.multiplier - this.decayRate * deltaTime);
+        if (this.multiplier <= 1) this.chain = 0;
     }
     
-    showAchievementNotification(achievement) {
-        const notification = document.getElementById('achievementNotification');
-        const desc = document.getElementById('achievementDesc');
+    extend(source) {
+        this.chain++;
+        this.timer = this.chainWindow;
+        this.setMultiplier(this.multiplier + this.steps[source]);
+        
+        const stats = this.game.stats;
+        stats.bestCombo = Math.max(stats.bestCombo, this.chain);
+        stats.bestMultiplier = Math.max(stats.bestMultiplier, this.multiplier);
+    }
+    
+    breakChain() {
+        if (this.chain === 0 && this.multiplier === 1) return;
+        this.chain = 0;
+        this.timer = 0;
+        this.setMultiplier(1);
+    }
+    
+    setMultiplier(value) {
+        const previous = this.multiplier;
+        this.multiplier = Math.min(this.maxMultiplier, Math.max(1, value));
         
-        if (notification && desc) {
-            desc.textContent = `${achievement.icon} ${achievement.name}`;
-            notification.classList.add('show');
+        // Only announce changes the HUD can show
+        if (previous.toFixed(1) !== this.multiplier.toFixed(1) || this.multiplier === 1) {
+            this.game.events.emit(GameEvents.COMBO_CHANGED, { multiplier: this.multiplier, chain: this.chain });
+        }
+    }
+    
+    // An obstacle the rider clears by a hair, without touching it, counts as a near-miss
+    detectNearMisses() {
+        const player = this.game.player;
+        const playerTransform = player?.getComponent('Transform');
+        if (!playerTransform) return;
+        
+        for (const obstacle of this.getEntitiesWith('Transform', 'Obstacle')) {
+            const obstacleComponent = obstacle.getComponent('Obstacle');
+            if (obstacleComponent.passed || obstacle.hasComponent('Platform')) continue;
             
-            setTimeout(() => {
-                notification.classList.remove('show');
-            }, 3000);
+            // Passed once it comes clear on the other side of the rider, whichever
+            // of the two moved - the rider riding on, or a drone flying by
+            const transform = obstacle.getComponent('Transform');
+            const side = transform.x + transform.width <= playerTransform.x ? -1
+                : transform.x >= playerTransform.x + playerTransform.width ? 1
+                : 0;
+            if (side === 0) continue;
+            
+            const previousSide = obstacleComponent.side;
+            obstacleComponent.side = side;
+            if (previousSide === 0 || previousSide === side) continue;
+            
+            obstacleComponent.passed = true;
+            if (obstacleComponent.hit) continue;
+            
+            // Clearance over the top, or under it when ducking past a drone
+            const clearance = Math.max(
+                transform.y - (playerTransform.y + playerTransform.height),
+                playerTransform.y - (transform.y + transform.height)
+            );
+            
+            if (clearance >= 0 && clearance <= this.nearMissDistance) {
+                this.game.events.emit(GameEvents.NEAR_MISS, {
+                    entity: player,
+                    obstacle,
+                    clearance,
+                    x: transform.x + transform.width/2,
+                    y: transform.y
+                });
+            }
+        }
+    }
+}
+
+// Achievement System
+class AchievementSystem extends System {
+    constructor(game) {
+        super(game);
+        this.achievements = this.initAchievements();
+        this.unlockedAchievements = new Set();
+        this.loadProgress();
+        
+        game.events.on(GameEvents.WALL_PAINTED, ({ wallsPainted }) => {
+            this.checkAchievement('first_wall', wallsPainted >= 1);
+            this.checkAchievement('artist', wallsPainted >= 10);
+        });
+        game.events.on(GameEvents.BOSS_DEFEATED, () => this.checkAchievement('giant_slayer', true));
+    }
+    
+    initAchievements() {
+        return {
+            first_jump: {
+                name: 'קפיצה ראשונה',
+                description: 'בצע קפיצה ראשונה',
+                icon: '🚴',
+                unlocked: false
+            },
+            first_wall: {
+                name: 'אמן רחוב',
+                description: 'צבע את הקיר הראשון',
+                icon: '🎨',
+                unlocked: false
+            },
+            speed_demon: {
+                name: 'שד המהירות',
+                description: 'עבור 1000 מטר בריצה אחת',
+                icon: '💨',
+                unlocked: false
+            },
+            artist: {
+                name: 'אמן מקצועי',
+                description: 'צבע 10 קירות',
+                icon: '🏆',
+                unlocked: false
+            },
+            survivor: {
+                name: 'שורד',
+                description: 'שחק 5 דקות בלי לאבד חיים',
+                icon: '❤️',
+                unlocked: false
+            },
+            collector: {
+                name: 'אספן',
+                description: 'אסוף 100 מטבעות',
+                icon: '🪙',
+                unlocked: false
+            },
+            rebel: {
+                name: 'מורד אמיתי',
+                description: 'הגע לניקוד של 5000',
+                icon: '✊',
+                unlocked: false
+            },
+            perfectionist: {
+                name: 'פרפקציוניסט',
+                description: 'צבע קיר מלא במהלך קפיצה אחת',
+                icon: '⭐',
+                unlocked: false
+            },
+            giant_slayer: {
+                name: 'קוטל ענקים',
+                description: 'הבס בוס של התאגיד האפור',
+                icon: '🚚',
+                unlocked: false
+            }
+        };
+    }
+    
+    checkAchievement(achievementId, condition) {
+        if (condition && !this.achievements[achievementId]?.unlocked) {
+            this.unlockAchievement(achievementId);
         }
     }
     
+    unlockAchievement(achievementId) {
+        const achievement = this.achievements[achievementId];
+        if (!achievement || achievement.unlocked) return;
+        
+        achievement.unlocked = true;
+        this.unlockedAchievements.add(achievementId);
+        
+        // Save progress
+        this.saveProgress();
+        
+        // UI shows the notification, audio plays the jingle
+        this.game.events.emit(GameEvents.ACHIEVEMENT_UNLOCKED, { id: achievementId, achievement });
+    }
+    
     saveProgress() {
         const progress = {};
         for (const [id, achievement] of Object.entries(this.achievements)) {
             progress[id] = achievement.unlocked;
         }
-        localStorage.setItem('chromaticRush_achievements', JSON.stringify(progress));
+        this.game.storage.setItem('chromaticRush_achievements', JSON.stringify(progress));
     }
     
     loadProgress() {
         try {
-            const saved = localStorage.getItem('chromaticRush_achievements');
+            const saved = this.game.storage.getItem('chromaticRush_achievements');
             if (saved) {
                 const progress = JSON.parse(saved);
                 for (const [id, unlocked] of Object.entries(progress)) {
@@ -1222,9 +2777,13 @@ class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
-        this.camera = { x: 0, y: 0 };
+        this.camera = { x: 0, y: 0, previousX: 0 };
+        this.viewX = 0; // Interpolated camera x for the frame being drawn
         this.shakeAmount = 0;
         this.shakeDecay = 0.9;
+        this.wallCanvases = new Map(); // Wall entity id -> paint mask canvases
+        this.visibleWalls = new Set();
+        this.debugAI = false; // Behaviour tree overlay, toggled with F3
         this.layers = new Map();
         
         // Set canvas size
@@ -1269,7 +2828,13 @@ class Renderer {
         this.shakeAmount = Math.max(this.shakeAmount, amount);
     }
     
-    render(entities, deltaTime) {
+    /**
+     * Draw a frame. alpha (0..1) is how far real time has advanced between the
+     * previous and the current simulation step.
+     */
+    render(entities, alpha = 1) {
+        this.viewX = this.camera.previousX + (this.camera.x - this.camera.previousX) * alpha;
+        
         // Clear canvas
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
         
@@ -1309,13 +2874,30 @@ class Renderer {
         }
         
         // Render layers
+        this.visibleWalls.clear();
         for (let i = 0; i <= 10; i++) {
             const layerEntities = this.layers.get(i);
             for (const entity of layerEntities) {
-                this.renderEntity(entity);
+                this.renderEntity(entity, alpha);
             }
         }
         
+        // Boss warnings and weak points go over everything else
+        for (const entity of renderableEntities) {
+            const boss = entity.getComponent('Boss');
+            if (boss) this.drawBossOverlay(entity, boss, alpha);
+            if (entity.getComponent('AIController')?.telegraphing) this.drawTelegraph(entity, alpha);
+        }
+        
+        if (this.debugAI) {
+            this.drawAIDebug(entities, alpha);
+        }
+        
+        // Drop the paint masks of walls that have scrolled away
+        for (const id of this.wallCanvases.keys()) {
+            if (!this.visibleWalls.has(id)) this.wallCanvases.delete(id);
+        }
+        
         this.ctx.restore();
     }
     
@@ -1342,26 +2924,26 @@ class Renderer {
         
         // Street markings
         this.ctx.fillStyle = '#fff';
-        const cameraOffset = this.camera.x % 90;
+        const cameraOffset = this.viewX % 90;
         for (let i = -1; i < 12; i++) {
             this.ctx.fillRect(i * 90 - cameraOffset, 520, 60, 8);
         }
     }
     
-    renderEntity(entity) {
+    renderEntity(entity, alpha = 1) {
         const transform = entity.getComponent('Transform');
         const sprite = entity.getComponent('Sprite');
         
         if (!sprite.visible || sprite.opacity <= 0) return;
         
-        const spriteImage = Assets.getSprite(sprite.type, sprite.frame);
-        if (!spriteImage) return;
+        const spriteFrame = Assets.getSprite(sprite.type, sprite.frame, entity.id);
+        if (!spriteFrame) return;
         
         this.ctx.save();
         
-        // Apply camera transform
-        const renderX = transform.x - this.camera.x;
-        const renderY = transform.y;
+        // Interpolate between simulation steps, then apply camera transform
+        const renderX = transform.previousX + (transform.x - transform.previousX) * alpha - this.viewX;
+        const renderY = transform.previousY + (transform.y - transform.previousY) * alpha;
         
         // Apply entity transforms
         this.ctx.translate(renderX + transform.width/2, renderY + transform.height/2);
@@ -1379,19 +2961,253 @@ class Renderer {
             this.ctx.globalCompositeOperation = 'source-over';
         }
         
-        // Draw sprite
+        // Draw sprite - a region of a packed sheet
         this.ctx.drawImage(
-            spriteImage,
+            spriteFrame.image,
+            spriteFrame.x,
+            spriteFrame.y,
+            spriteFrame.width,
+            spriteFrame.height,
             -transform.width/2,
             -transform.height/2,
             transform.width,
             transform.height
         );
         
+        const streetArt = entity.getComponent('StreetArt');
+        if (streetArt) {
+            this.drawStreetArt(streetArt, transform.width, transform.height, entity.id);
+        }
+        
         this.ctx.restore();
     }
     
+    drawStreetArt(art, width, height, id) {
+        if (art.sprayMarks.length > 0 || art.painted) {
+            this.drawMural(art, width, height, id);
+        }
+        if (!art.painted) {
+            this.drawRecipe(art, height);
+        }
+    }
+    
+    // Each wall keeps an offscreen mask of where spray has landed. The wall's
+    // colours and its graffiti piece show through the mask, the piece fading
+    // in as paint progress grows.
+    drawMural(art, width, height, id) {
+        const wall = this.getWallCanvases(id, width, height);
+        const maskCtx = wall.mask.getContext('2d');
+        
+        // Stamp spray that landed since the last frame
+        for (; wall.marksDrawn < art.sprayMarks.length; wall.marksDrawn++) {
+            const { x, y, radius } = art.sprayMarks[wall.marksDrawn];
+            const gradient = maskCtx.createRadialGradient(x, y, 0, x, y, radius);
+            gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+            gradient.addColorStop(0.6, 'rgba(0, 0, 0, 0.8)');
+            gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            maskCtx.fillStyle = gradient;
+            maskCtx.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+            wall.dirty = true;
+        }
+        
+        // A finished wall is covered edge to edge
+        if (art.painted && !wall.complete) {
+            maskCtx.fillStyle = '#000';
+            maskCtx.fillRect(0, 0, wall.mask.width, wall.mask.height);
+            wall.complete = true;
+            wall.dirty = true;
+        }
+        
+        if (wall.dirty || wall.matched !== art.matched) {
+            this.composeMural(wall, art);
+            wall.dirty = false;
+            wall.matched = art.matched;
+        }
+        
+        this.ctx.globalAlpha = art.painted && !art.matched ? 0.6 : 0.9;
+        this.ctx.drawImage(wall.layer, -width/2, -height/2, width, height);
+        this.ctx.globalAlpha = 1;
+    }
+    
+    composeMural(wall, art) {
+        const { width, height } = wall.layer;
+        const ctx = wall.layer.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        
+        // Wavy bands of the wall's colours as the base coat, phase-shifted per wall
+        const bandHeight = height / art.colors.length;
+        art.colors.forEach((color, i) => {
+            const top = i * bandHeight;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(0, top);
+            for (let x = 0; x <= width; x += 10) {
+                ctx.lineTo(x, top + Math.sin((x + art.wavePhase) / 15) * 6);
+            }
+            ctx.lineTo(width, top + bandHeight + 6);
+            ctx.lineTo(0, top + bandHeight + 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+        
+        // The graffiti piece, centred in the lower half where the rider can reach
+        const piece = Assets.getSprite('graffiti', `${art.artStyle}_${art.variant}`);
+        if (piece) {
+            const pieceWidth = width * 0.9;
+            const pieceHeight = pieceWidth / 2;
+            ctx.globalAlpha = Math.min(1, art.paintProgress / art.requiredPaint);
+            ctx.drawImage(piece.image, piece.x, piece.y, piece.width, piece.height,
+                (width - pieceWidth) / 2, height * 0.7 - pieceHeight / 2, pieceWidth, pieceHeight);
+            ctx.globalAlpha = 1;
+        }
+        
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(wall.mask, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+    }
+    
+    getWallCanvases(id, width, height) {
+        let wall = this.wallCanvases.get(id);
+        
+        if (!wall) {
+            const createCanvas = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.ceil(width);
+                canvas.height = Math.ceil(height);
+                return canvas;
+            };
+            
+            wall = { mask: createCanvas(), layer: createCanvas(), marksDrawn: 0, complete: false, dirty: true, matched: false };
+            this.wallCanvases.set(id, wall);
+        }
+        
+        this.visibleWalls.add(id);
+        return wall;
+    }
+    
+    // Unpainted walls show the paint colours they ask for
+    drawRecipe(art, height) {
+        const ctx = this.ctx;
+        const recipe = Object.entries(art.recipe);
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        recipe.forEach(([color, amount], i) => {
+            const x = (i - (recipe.length - 1) / 2) * 28;
+            const y = height/2 - 40;
+            
+            ctx.fillStyle = PAINT_COLORS[color];
+            ctx.beginPath();
+            ctx.arc(x, y, 10, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.fillStyle = '#000';
+            ctx.fillText(amount, x, y);
+        });
+    }
+    
+    // Flashing warnings where a telegraphed volley will land, and a pulsing
+    // outline around a weak point that can be sprayed
+    drawBossOverlay(entity, boss, alpha) {
+        const ctx = this.ctx;
+        const transform = entity.getComponent('Transform');
+        const ai = entity.getComponent('AIController');
+        const definition = BOSSES[boss.kind];
+        const x = transform.previousX + (transform.x - transform.previousX) * alpha - this.viewX;
+        const y = transform.previousY + (transform.y - transform.previousY) * alpha;
+        const pulse = 0.5 + 0.5 * Math.sin(ai.timer * 12);
+        
+        ctx.save();
+        
+        if (boss.telegraph) {
+            const dropX = x + definition.dropX + 32;
+            const remaining = boss.telegraph.entries.length - (ai.state === 'attacking' ? ai.pathIndex : 0);
+            
+            ctx.globalAlpha = 0.4 + 0.6 * pulse;
+            ctx.fillStyle = '#ff1744';
+            ctx.fillRect(dropX - 40, 444, 80, 6);
+            ctx.font = 'bold 28px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(remaining > 1 ? `⚠ ×${remaining}` : '⚠', dropX, 430);
+        }
+        
+        if (ai.state === 'exposed') {
+            const weakPoint = definition.weakPoint;
+            ctx.globalAlpha = 0.5 + 0.5 * pulse;
+            ctx.strokeStyle = '#ffff00';
+            ctx.lineWidth = 3;
+            ctx.strokeRect(x + weakPoint.x, y + weakPoint.y, weakPoint.width, weakPoint.height);
+        }
+        
+        if (boss.hitFlash > 0) {
+            ctx.globalAlpha = 0.4;
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(x, y, transform.width, transform.height);
+        }
+        
+        ctx.restore();
+    }
+    
+    // Pulsing warning over an enemy about to fire
+    drawTelegraph(entity, alpha) {
+        const ctx = this.ctx;
+        const transform = entity.getComponent('Transform');
+        const x = transform.previousX + (transform.x - transform.previousX) * alpha - this.viewX;
+        const y = transform.previousY + (transform.y - transform.previousY) * alpha;
+        
+        ctx.save();
+        ctx.globalAlpha = 0.5 + 0.5 * Math.sin(Date.now() * 0.015);
+        ctx.fillStyle = '#ff1744';
+        ctx.font = 'bold 24px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('⚠', x + transform.width/2, y - 10);
+        ctx.restore();
+    }
+    
+    // What each AI entity's behaviour tree ticked last step, coloured by result
+    drawAIDebug(entities, alpha) {
+        const ctx = this.ctx;
+        const colors = { running: '#ffff00', success: '#39ff14', failure: '#ff1744' };
+        
+        ctx.save();
+        ctx.font = '10px monospace';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        
+        for (const entity of entities) {
+            const ai = entity.getComponent('AIController');
+            const transform = entity.getComponent('Transform');
+            if (!ai || !transform || entity.destroy) continue;
+            
+            const x = transform.previousX + (transform.x - transform.previousX) * alpha - this.viewX;
+            if (x + transform.width < 0 || x > 800) continue;
+            
+            // Scripted bosses have no tree; show their state instead
+            const lines = ai.trace.length > 0 ? ai.trace : [{ depth: 0, label: `${ai.type}: ${ai.state}`, status: 'running' }];
+            const top = transform.y - 8 - lines.length * 12;
+            
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.fillRect(x - 4, top - 8, 150, lines.length * 12 + 4);
+            lines.forEach((entry, i) => {
+                ctx.fillStyle = colors[entry.status] || '#ffffff';
+                ctx.fillText(`${'  '.repeat(entry.depth)}${entry.label}`, x, top + i * 12);
+            });
+        }
+        
+        ctx.restore();
+    }
+    
+    worldToScreen(x, y) {
+        return {
+            x: (x - this.camera.x) * this.scale + this.offsetX,
+            y: y * this.scale + this.offsetY
+        };
+    }
+    
     updateCamera(target) {
+        this.camera.previousX = this.camera.x;
+        
         if (target) {
             const targetTransform = target.getComponent('Transform');
             if (targetTransform) {
@@ -1418,10 +3234,112 @@ class UISystem {
             finalDistance: document.getElementById('finalDistance'),
             sprayCount: document.getElementById('sprayCount'),
             achievementMessage: document.getElementById('achievementMessage'),
-            highScoreDisplay: document.getElementById('highScoreDisplay')
+            highScoreDisplay: document.getElementById('highScoreDisplay'),
+            seedInput: document.getElementById('seedInput'),
+            finalSeed: document.getElementById('finalSeed'),
+            dailyStreak: document.getElementById('dailyStreak'),
+            dailyBest: document.getElementById('dailyBest'),
+            multiplier: document.getElementById('multiplier'),
+            bestCombo: document.getElementById('bestCombo'),
+            powerUpTimers: document.getElementById('powerUpTimers'),
+            paintInventory: document.getElementById('paintInventory'),
+            levelGrid: document.getElementById('levelGrid'),
+            levelGoals: document.getElementById('levelGoals'),
+            levelName: document.getElementById('levelName'),
+            levelStars: document.getElementById('levelStars'),
+            levelScore: document.getElementById('levelScore'),
+            levelResultGoals: document.getElementById('levelResultGoals'),
+            nextLevelBtn: document.getElementById('nextLevelBtn'),
+            bossBar: document.getElementById('bossBar'),
+            bossName: document.getElementById('bossName'),
+            bossHealthFill: document.getElementById('bossHealthFill')
         };
         
         this.loadHighScore();
+        this.bindEvents(game.events);
+    }
+    
+    bindEvents(events) {
+        events.on(GameEvents.DAMAGED, ({ health }) => this.updateLives(health));
+        events.on(GameEvents.ACHIEVEMENT_UNLOCKED, ({ achievement }) => this.showAchievement(achievement));
+        events.on(GameEvents.TRICK_LANDED, ({ name, points, x, y }) => this.showScorePopup(`${name} +${points}`, x, y));
+        events.on(GameEvents.BAILED, ({ x, y }) => this.showScorePopup('BAIL!', x, y, 'var(--tertiary-bright)'));
+        events.on(GameEvents.NEAR_MISS, ({ x, y }) => this.showScorePopup('CLOSE CALL!', x, y, 'var(--secondary-bright)'));
+        events.on(GameEvents.PROJECTILE_DEFLECTED, ({ x, y }) => this.showScorePopup('DEFLECT!', x, y, 'var(--neon-green)'));
+        events.on(GameEvents.COMBO_CHANGED, ({ multiplier }) => this.updateMultiplier(multiplier));
+        events.on(GameEvents.POWERUP_ACTIVATED, ({ entity, kind }) => {
+            const transform = entity.getComponent('Transform');
+            this.showScorePopup(`${POWER_UPS[kind].icon} ${POWER_UPS[kind].label}`, transform.x, transform.y, 'var(--neon-green)');
+            if (kind === 'life') this.updateLives(entity.getComponent('Health').current);
+        });
+        events.on(GameEvents.COLLECTED, ({ entity, type }) => {
+            const controller = entity.getComponent('PlayerController');
+            if (type === 'spray_can' && controller) {
+                this.updateSprayPower(controller.sprayPower / controller.maxSprayPower);
+            }
+            if (type.startsWith('paint_') && controller) {
+                this.updatePaintInventory(controller.paint);
+            }
+        });
+        events.on(GameEvents.WALL_PAINTED, ({ entity, wall, matched, bonus }) => {
+            const transform = wall.getComponent('Transform');
+            this.updatePaintInventory(entity.getComponent('PlayerController').paint);
+            if (matched) {
+                this.showScorePopup(`🎨 +${bonus}`, transform.x + transform.width/2, 300);
+            }
+        });
+        events.on(GameEvents.BOSS_APPEARED, ({ kind }) => this.updateBossHealth(kind, 1));
+        events.on(GameEvents.BOSS_HIT, ({ kind, health, max }) => this.updateBossHealth(kind, health / max));
+        events.on(GameEvents.BOSS_PHASE_CHANGED, ({ boss, phase }) => {
+            const transform = boss.getComponent('Transform');
+            this.showScorePopup(`⚠️ שלב ${phase + 1}`, transform.x + transform.width/2, transform.y, 'var(--tertiary-bright)');
+        });
+        events.on(GameEvents.BOSS_DEFEATED, ({ reward, x, y }) => {
+            this.updateBossHealth(null);
+            this.showScorePopup(`💥 +${reward}`, x, y, 'var(--neon-green)');
+        });
+        events.on(GameEvents.BOSS_ESCAPED, () => this.updateBossHealth(null));
+    }
+    
+    showScreen(screenId) {
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+        
+        const targetScreen = document.getElementById(screenId);
+        if (targetScreen) {
+            targetScreen.classList.add('active');
+        }
+    }
+    
+    showAchievement(achievement) {
+        const notification = document.getElementById('achievementNotification');
+        const desc = document.getElementById('achievementDesc');
+        
+        if (notification && desc) {
+            desc.textContent = `${achievement.icon} ${achievement.name}`;
+            notification.classList.add('show');
+            
+            setTimeout(() => {
+                notification.classList.remove('show');
+            }, 3000);
+        }
+    }
+    
+    showScorePopup(text, worldX, worldY, color = null) {
+        const container = document.getElementById('effectsContainer');
+        if (!container) return;
+        
+        const position = this.game.renderer.worldToScreen(worldX, worldY);
+        const popup = document.createElement('div');
+        popup.className = 'score-popup';
+        popup.textContent = text;
+        popup.style.left = `${position.x}px`;
+        popup.style.top = `${position.y}px`;
+        if (color) popup.style.color = color;
+        
+        container.appendChild(popup);
+        popup.addEventListener('animationend', () => popup.remove());
     }
     
     updateScore(score) {
@@ -1460,25 +3378,209 @@ class UISystem {
         }
     }
     
+    updateMultiplier(multiplier) {
+        const element = this.elements.multiplier;
+        if (!element) return;
+        
+        element.textContent = `x${multiplier.toFixed(1)}`;
+        element.parentElement?.classList.toggle('active', multiplier > 1);
+        
+        // The combo flame while a chain is going, the plain multiplier badge otherwise
+        if (!this.elements.multiplierIcon) {
+            this.elements.multiplierIcon = document.createElement('canvas');
+            this.elements.multiplierIcon.className = 'hud-icon';
+            this.elements.multiplierIcon.width = this.elements.multiplierIcon.height = 48;
+            element.before(this.elements.multiplierIcon);
+        }
+        const icon = multiplier > 1
+            ? this.game.assets.getSprite('hud', 'combo')
+            : this.game.assets.getSprite('ui', 'multiplier');
+        const ctx = this.elements.multiplierIcon.getContext('2d');
+        ctx.clearRect(0, 0, 48, 48);
+        if (icon) ctx.drawImage(icon.image, icon.x, icon.y, icon.width, icon.height, 0, 0, 48, 48);
+    }
+    
+    updatePaintInventory(paint) {
+        const container = this.elements.paintInventory;
+        if (!container) return;
+        
+        for (const [color, amount] of Object.entries(paint)) {
+            let swatch = container.querySelector(`[data-color="${color}"]`);
+            if (!swatch) {
+                swatch = document.createElement('span');
+                swatch.className = 'paint-swatch';
+                swatch.dataset.color = color;
+                swatch.style.setProperty('--paint-color', PAINT_COLORS[color]);
+                container.appendChild(swatch);
+            }
+            swatch.textContent = amount;
+            swatch.classList.toggle('empty', amount === 0);
+        }
+    }
+    
+    // One row per active power-up, with a bar that drains as it runs out
+    updatePowerUps(effects) {
+        const container = this.elements.powerUpTimers;
+        if (!container) return;
+        
+        for (const row of [...container.children]) {
+            if (!effects.has(row.dataset.kind)) row.remove();
+        }
+        
+        for (const [kind, effect] of effects) {
+            let row = container.querySelector(`[data-kind="${kind}"]`);
+            if (!row) {
+                row = document.createElement('div');
+                row.className = 'powerup-timer';
+                row.dataset.kind = kind;
+                row.innerHTML = `<span class="powerup-icon">${POWER_UPS[kind].icon}</span><div class="powerup-bar"><div class="powerup-fill"></div></div>`;
+                container.appendChild(row);
+            }
+            row.querySelector('.powerup-fill').style.width = `${Math.max(0, effect.remaining / effect.duration) * 100}%`;
+        }
+    }
+    
     updatePauseStats(score, lives, distance) {
         if (this.elements.pauseScore) this.elements.pauseScore.textContent = score.toLocaleString();
         if (this.elements.pauseLives) this.elements.pauseLives.textContent = lives;
         if (this.elements.pauseDistance) this.elements.pauseDistance.textContent = Math.round(distance);
     }
     
-    updateGameOverStats(score, distance, sprayCount) {
+    updateGameOverStats(score, distance, sprayCount, recordHighScore = true) {
         if (this.elements.finalScore) this.elements.finalScore.textContent = score.toLocaleString();
         if (this.elements.finalDistance) this.elements.finalDistance.textContent = Math.round(distance);
         if (this.elements.sprayCount) this.elements.sprayCount.textContent = sprayCount;
         
         // Check for high score
-        const isHighScore = this.updateHighScore(score);
+        const isHighScore = recordHighScore && this.updateHighScore(score);
         if (isHighScore && this.elements.achievementMessage) {
             this.elements.achievementMessage.textContent = '🏆 שיא חדש! 🏆';
             this.elements.achievementMessage.style.color = 'var(--accent-color)';
         }
     }
     
+    updateComboStats(bestCombo, bestMultiplier) {
+        if (this.elements.bestCombo) {
+            this.elements.bestCombo.textContent = `${bestCombo} (x${bestMultiplier.toFixed(1)})`;
+        }
+    }
+    
+    updateLevelSelect(campaign, onSelect) {
+        const grid = this.elements.levelGrid;
+        if (!grid) return;
+        
+        grid.innerHTML = '';
+        campaign.levels.forEach((level, index) => {
+            const unlocked = campaign.isUnlocked(level.id);
+            const stars = campaign.getStars(level.id);
+            
+            const card = document.createElement('button');
+            card.className = `level-card${unlocked ? '' : ' locked'}`;
+            card.disabled = !unlocked;
+            // Level names can come from loaded files, so no innerHTML
+            const span = (className, text) => {
+                const element = document.createElement('span');
+                element.className = className;
+                element.textContent = text;
+                return element;
+            };
+            card.append(
+                span('level-number', index + 1),
+                span('level-name', unlocked ? level.name : '🔒'),
+                span('level-stars', this.formatStars(stars))
+            );
+            if (unlocked) {
+                card.addEventListener('click', () => onSelect(level.id));
+            }
+            grid.appendChild(card);
+        });
+    }
+    
+    // In-run goal checklist; null hides it outside the campaign
+    updateLevelGoals(goals) {
+        const container = this.elements.levelGoals;
+        if (!container) return;
+        
+        container.classList.toggle('hidden', !goals);
+        if (!goals) return;
+        
+        container.replaceChildren(...goals.map(goal => this.createGoalElement(goal)));
+    }
+    
+    updateLevelResult(level, result, { score, improved, hasNext }) {
+        if (this.elements.levelName) this.elements.levelName.textContent = level.name;
+        if (this.elements.levelStars) this.elements.levelStars.textContent = this.formatStars(result.stars);
+        if (this.elements.levelScore) this.elements.levelScore.textContent = score.toLocaleString();
+        if (this.elements.levelResultGoals) {
+            this.elements.levelResultGoals.replaceChildren(...result.goals.map(goal => this.createGoalElement(goal)));
+        }
+        if (this.elements.nextLevelBtn) this.elements.nextLevelBtn.classList.toggle('hidden', !hasNext);
+        if (improved && this.elements.achievementMessage) {
+            this.elements.achievementMessage.textContent = '⭐ שיא חדש לשלב! ⭐';
+        }
+    }
+    
+    // Boss health bar; pass no kind to hide it
+    updateBossHealth(kind, fraction = 1) {
+        const { bossBar, bossName, bossHealthFill } = this.elements;
+        if (!bossBar) return;
+        
+        bossBar.classList.toggle('hidden', !kind);
+        if (!kind) return;
+        
+        if (bossName) bossName.textContent = `${BOSSES[kind].icon} ${BOSSES[kind].name}`;
+        if (bossHealthFill) bossHealthFill.style.width = `${Math.max(0, fraction) * 100}%`;
+    }
+    
+    updatePlaytestControls(playtesting) {
+        document.querySelectorAll('.back-to-editor-btn').forEach(button => {
+            button.classList.toggle('hidden', !playtesting);
+        });
+    }
+    
+    createGoalElement(goal) {
+        const progress = goal.type === 'no_hit' ? '' : ` ${Math.min(goal.progress, goal.target)}/${goal.target}`;
+        const element = document.createElement('div');
+        element.className = `level-goal${goal.met ? ' met' : ''}`;
+        element.textContent = `${goal.met ? '✅' : '⬜'} ${goal.label}${progress}`;
+        return element;
+    }
+    
+    formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+    
+    updateSeed(seed) {
+        if (this.elements.finalSeed) {
+            this.elements.finalSeed.textContent = SeededRandom.formatSeed(seed);
+        }
+    }
+    
+    updateDailyInfo(daily) {
+        if (this.elements.dailyStreak) {
+            this.elements.dailyStreak.textContent = `🔥 ${daily.getStreak()}`;
+        }
+        if (this.elements.dailyBest) {
+            const todayScore = daily.getTodayScore();
+            this.elements.dailyBest.textContent = todayScore === null ? 'טרם שוחק היום' : todayScore.toLocaleString();
+        }
+    }
+    
+    updateDailyResult(daily, scored) {
+        this.updateDailyInfo(daily);
+        if (this.elements.achievementMessage) {
+            this.elements.achievementMessage.textContent = scored
+                ? `🗓️ ריצה יומית נשמרה! רצף: ${daily.getStreak()} ימים`
+                : '🗓️ אימון - הניסיון היומי כבר נוצל';
+            this.elements.achievementMessage.style.color = 'var(--secondary-bright)';
+        }
+    }
+    
+    getSeedInput() {
+        // Empty input means a fresh random street
+        return this.elements.seedInput ? SeededRandom.parseSeed(this.elements.seedInput.value) ?? undefined : undefined;
+    }
+    
     updateHighScore(score) {
         const currentHigh = this.getHighScore();
         if (score > currentHigh) {
@@ -1522,6 +3624,11 @@ class InputManager {
         document.addEventListener('keydown', (e) => {
             this.keys.add(e.code);
             
+            if (e.code === 'F3') {
+                e.preventDefault();
+                this.game.renderer.debugAI = !this.game.renderer.debugAI;
+            }
+            
             // Prevent default for game keys
             if (['Space', 'KeyW', 'KeyS', 'ArrowUp', 'ArrowDown'].includes(e.code)) {
                 e.preventDefault();
@@ -1599,26 +3706,39 @@ class InputManager {
 
 // Main Game Class
 class ChromaticRush {
-    constructor() {
-        this.canvas = document.getElementById('gameCanvas');
-        this.renderer = new Renderer(this.canvas);
+    /**
+     * options.headless runs without a DOM: pass stub renderer, ui, input,
+     * assets and storage adapters (see headless.js).
+     */
+    constructor(options = {}) {
+        this.headless = options.headless ?? false;
+        this.events = new EventBus();
+        this.assets = options.assets || Assets;
+        this.storage = options.storage || localStorage;
+        this.canvas = options.renderer ? null : document.getElementById('gameCanvas');
+        this.renderer = options.renderer || new Renderer(this.canvas);
         this.entityManager = new EntityManager();
-        this.inputManager = new InputManager(this);
-        this.ui = new UISystem(this);
+        this.inputManager = options.input || new InputManager(this);
+        this.ui = options.ui || new UISystem(this);
         
         // Game systems
         this.systems = [
             new PhysicsSystem(this),
             new CollisionSystem(this),
             new AnimationSystem(this),
+            new TrickSystem(this),
             new PlayerSystem(this),
             new AISystem(this),
+            new ProjectileSystem(this),
             new ParticleSystem(this)
         ];
         
+        this.powerUpSystem = new PowerUpSystem(this);
+        this.comboSystem = new ComboSystem(this);
         this.effectsSystem = new EffectsSystem(this);
         this.achievementsSystem = new AchievementSystem(this);
-        this.systems.push(this.effectsSystem, this.achievementsSystem);
+        this.audioSystem = new AudioSystem(this);
+        this.systems.push(this.powerUpSystem, this.comboSystem, this.effectsSystem, this.achievementsSystem, this.audioSystem);
         
         // Game state
         this.gameState = 'loading';
@@ -1628,23 +3748,53 @@ class ChromaticRush {
         this.gameTime = 0;
         this.lastTime = 0;
         this.deltaTime = 0;
+        this.fixedTimeStep = 1 / 60;
+        this.maxFrameTime = 0.25; // Avoid a spiral of death after a long stall
+        this.accumulator = 0;
         this.paused = false;
         this.player = null;
         this.gameSpeed = 1;
         this.spawnTimer = 0;
+        this.seed = null;
+        this.mode = 'endless';
+        this.level = null; // Campaign level being played
+        this.playtestStartX = 100;
+        this.editor = null;
+        this.dailyScored = false;
+        this.dailyDate = null; // When the current daily run started
+        
+        // Gameplay randomness (AI decisions) - reseeded per run so replays match
+        this.random = new SeededRandom();
+        
+        // Replays
+        this.replayRecorder = null;
+        this.replayPlayer = null;
+        this.lastReplay = null;
         
         // Game statistics
         this.stats = {
             wallsPainted: 0,
             coinsCollected: 0,
+            hitsTaken: 0,
+            bestCombo: 0,
+            bestMultiplier: 1,
+            bossesDefeated: 0,
+            projectilesDeflected: 0,
             jumpCount: 0,
             survivalTime: 0
         };
         
         // Level generation
         this.worldGenerator = new WorldGenerator(this);
+        for (const library of options.patternLibraries || []) {
+            this.worldGenerator.loadPatternLibrary(library);
+        }
+        this.dailyChallenge = new DailyChallenge(this.storage);
+        this.campaign = new Campaign(this.storage);
         
-        this.init();
+        if (!this.headless) {
+            this.init();
+        }
     }
     
     async init() {
@@ -1654,9 +3804,10 @@ class ChromaticRush {
         this.setupUIEvents();
         
         // Load assets
-        await Assets.loadAssets();
+        await this.assets.loadAssets();
         
         // Hide loading screen and show main menu
+        this.ui.updateDailyInfo(this.dailyChallenge);
         this.showScreen('mainMenu');
         
         console.log('Game initialized successfully!');
@@ -1664,13 +3815,17 @@ class ChromaticRush {
     
     setupUIEvents() {
         // Main menu buttons
-        document.getElementById('startBtn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('startBtn')?.addEventListener('click', () => this.startGame({ seed: this.ui.getSeedInput() }));
+        document.getElementById('dailyBtn')?.addEventListener('click', () => this.startDailyRun());
+        document.getElementById('campaignBtn')?.addEventListener('click', () => this.showLevelSelect());
+        document.getElementById('editorBtn')?.addEventListener('click', () => this.openEditor());
         document.getElementById('instructionsBtn')?.addEventListener('click', () => this.showScreen('instructionsScreen'));
         document.getElementById('settingsBtn')?.addEventListener('click', () => this.showScreen('settingsScreen'));
         
         // Back buttons
         document.getElementById('backFromInstructions')?.addEventListener('click', () => this.showScreen('mainMenu'));
         document.getElementById('backFromSettings')?.addEventListener('click', () => this.showScreen('settingsScreen'));
+        document.getElementById('backFromLevelSelect')?.addEventListener('click', () => this.showScreen('mainMenu'));
         
         // Game controls
         document.getElementById('pauseBtn')?.addEventListener('click', () => this.pauseGame());
@@ -1679,7 +3834,29 @@ class ChromaticRush {
         document.getElementById('mainMenuBtn')?.addEventListener('click', () => this.returnToMenu());
         
         // Game over buttons
-        document.getElementById('playAgainBtn')?.addEventListener('click', () => this.startGame());
+        document.getElementById('playAgainBtn')?.addEventListener('click', () => this.restartGame());
+        document.getElementById('sameSeedBtn')?.addEventListener('click', () => this.startGame({ seed: this.seed }));
+        document.getElementById('exportReplayBtn')?.addEventListener('click', () => this.exportReplay());
+        
+        // Level complete buttons
+        document.getElementById('nextLevelBtn')?.addEventListener('click', () => {
+            const next = this.campaign.getNextLevel(this.level?.id);
+            if (next) this.startLevel(next.id);
+        });
+        document.getElementById('retryLevelBtn')?.addEventListener('click', () => this.restartGame());
+        document.getElementById('levelSelectBtn')?.addEventListener('click', () => this.showLevelSelect());
+        
+        // Playtest screens offer a way back to the level being edited
+        document.querySelectorAll('.back-to-editor-btn').forEach(button => {
+            button.addEventListener('click', () => this.openEditor());
+        });
+        
+        // Replay import
+        document.getElementById('replayFileInput')?.addEventListener('change', (e) => {
+            const file = e.target.files?.[0];
+            if (file) this.importReplay(file);
+            e.target.value = '';
+        });
         document.getElementById('backToMenuBtn')?.addEventListener('click', () => this.returnToMenu());
         
         // Settings controls
@@ -1695,7 +3872,7 @@ class ChromaticRush {
         if (musicVolume) {
             musicVolume.addEventListener('input', (e) => {
                 const value = parseInt(e.target.value);
-                Assets.setVolume('music', value);
+                this.assets.setVolume('music', value);
                 if (musicVolumeValue) musicVolumeValue.textContent = `${value}%`;
             });
         }
@@ -1703,26 +3880,33 @@ class ChromaticRush {
         if (sfxVolume) {
             sfxVolume.addEventListener('input', (e) => {
                 const value = parseInt(e.target.value);
-                Assets.setVolume('sfx', value);
+                this.assets.setVolume('sfx', value);
                 if (sfxVolumeValue) sfxVolumeValue.textContent = `${value}%`;
             });
         }
     }
     
     showScreen(screenId) {
-        document.querySelectorAll('.screen').forEach(screen => {
-            screen.classList.remove('active');
-        });
-        
-        const targetScreen = document.getElementById(screenId);
-        if (targetScreen) {
-            targetScreen.classList.add('active');
-        }
+        this.ui.showScreen(screenId);
     }
     
-    startGame() {
+    startGame(options = {}) {
         console.log('Starting new game...');
         
+        // Same seed -> same street layout
+        this.seed = options.seed ?? SeededRandom.randomSeed();
+        this.mode = options.mode || 'endless';
+        this.level = options.level || null;
+        this.random.setSeed(this.seed ^ 0x5bd1e995);
+        const startX = options.startX ?? 100;
+        
+        // Either play back a replay or record this run. Playtests can start
+        // part-way into a level, which replays can't reproduce.
+        this.replayPlayer = options.replay ? new ReplayPlayer(options.replay) : null;
+        this.replayRecorder = this.replayPlayer || this.mode === 'playtest'
+            ? null
+            : new ReplayRecorder(this.seed, this.mode, this.fixedTimeStep, this.level?.id);
+        
         this.gameState = 'playing';
         this.score = 0;
         this.lives = 3;
@@ -1735,6 +3919,11 @@ class ChromaticRush {
         this.stats = {
             wallsPainted: 0,
             coinsCollected: 0,
+            hitsTaken: 0,
+            bestCombo: 0,
+            bestMultiplier: 1,
+            bossesDefeated: 0,
+            projectilesDeflected: 0,
             jumpCount: 0,
             survivalTime: 0
         };
@@ -1743,34 +3932,96 @@ class ChromaticRush {
         this.entityManager.clear();
         
         // Create player
-        this.createPlayer();
+        this.createPlayer(startX);
+        this.renderer.camera.x = this.renderer.camera.previousX = startX - 200;
         
         // Generate initial world
+        this.worldGenerator.reset(this.seed, this.level, startX);
         this.worldGenerator.generateInitialWorld();
         
+        this.comboSystem.reset();
+        
         // Update UI
         this.ui.updateScore(this.score);
+        this.ui.updateMultiplier(1);
+        this.ui.updatePowerUps(new Map());
+        this.ui.updatePaintInventory(this.player.getComponent('PlayerController').paint);
+        this.ui.updateLevelGoals(this.level ? this.campaign.evaluate(this.level, this.stats, false).goals : null);
         this.ui.updateLives(this.lives);
         this.ui.updateSprayPower(1.0);
+        this.ui.updatePlaytestControls(this.mode === 'playtest');
+        this.ui.updateBossHealth(null);
         
         // Show game screen
         this.showScreen('gameScreen');
         
-        // Start game loop
-        this.lastTime = performance.now();
-        this.gameLoop();
+        // Start game loop - headless callers drive step() themselves
+        this.accumulator = 0;
+        if (!this.headless) {
+            this.lastTime = performance.now();
+            this.gameLoop();
+        }
+    }
+    
+    // Campaign levels always play the same street
+    startLevel(levelId) {
+        const level = this.campaign.getLevel(levelId);
+        if (!level || !this.campaign.isUnlocked(levelId)) return;
+        
+        this.startGame({ seed: SeededRandom.hashString(`level-${level.id}`), mode: 'campaign', level });
+    }
+    
+    /**
+     * Play a level straight from the editor, starting at any x. Throws the
+     * validation error when the level data is invalid.
+     */
+    playtestLevel(level, startX = 100) {
+        LevelData.validateLevel(level, this.worldGenerator.patterns.map(pattern => pattern.name));
+        this.playtestStartX = startX;
+        this.startGame({ seed: SeededRandom.hashString(`level-${level.id}`), mode: 'playtest', level, startX });
     }
     
-    createPlayer() {
+    openEditor() {
+        if (typeof LevelEditor === 'undefined') {
+            console.warn('Level editor is not loaded - the page needs editor.js and #editorScreen (see editor.js)');
+            return;
+        }
+        
+        this.gameState = 'editor';
+        this.paused = false;
+        this.editor ??= new LevelEditor(this, document.getElementById('editorScreen'));
+        this.editor.open();
+        this.showScreen('editorScreen');
+    }
+    
+    showLevelSelect() {
+        this.ui.updateLevelSelect(this.campaign, (levelId) => this.startLevel(levelId));
+        this.showScreen('levelSelectScreen');
+    }
+    
+    startDailyRun() {
+        // Only the first daily run of the day counts; later ones are practice
+        this.dailyDate = new Date();
+        this.dailyScored = this.dailyChallenge.beginAttempt(this.dailyDate);
+        this.startGame({ seed: this.dailyChallenge.getSeed(this.dailyDate), mode: 'daily' });
+    }
+    
+    createPlayer(x = 100) {
         this.player = new Entity()
-            .addComponent(new Transform(100, 350, 32, 32))
+            .addComponent(new Transform(x, 350, 32, 32))
             .addComponent(new Velocity(0, 0))
             .addComponent(new Physics())
             .addComponent(new Sprite('player', 'idle', 2))
             .addComponent(new Animation([], 0.2, true))
             .addComponent(new Health(3))
             .addComponent(new PlayerController())
-            .addComponent(new Collider(28, 32, 2, 0))
+            .addComponent(new TrickController())
+            .addComponent(new TimedEffects())
+            .addComponent(new Collider(28, 32, 2, 0).setLayer(
+                CollisionLayer.PLAYER,
+                CollisionLayer.OBSTACLE | CollisionLayer.COLLECTIBLE | CollisionLayer.STREETART |
+                CollisionLayer.PLATFORM | CollisionLayer.WEAKPOINT | CollisionLayer.PROJECTILE
+            ))
             .addTag('player');
         
         this.entityManager.addEntity(this.player);
@@ -1793,32 +4044,205 @@ class ChromaticRush {
     }
     
     restartGame() {
-        this.startGame();
+        if (this.mode === 'daily') {
+            this.startDailyRun();
+        } else if (this.mode === 'replay') {
+            this.startReplay(this.replayPlayer.replay);
+        } else if (this.mode === 'campaign') {
+            this.startLevel(this.level.id);
+        } else if (this.mode === 'playtest') {
+            this.playtestLevel(this.level, this.playtestStartX);
+        } else {
+            this.startGame();
+        }
+    }
+    
+    startReplay(replay) {
+        if (replay.timestep !== this.fixedTimeStep) {
+            throw new Error(`Replay timestep ${replay.timestep} doesn't match the game's ${this.fixedTimeStep}`);
+        }
+        
+        // Campaign replays rebuild the level they were recorded on
+        const level = replay.levelId ? this.campaign.getLevel(replay.levelId) : null;
+        if (replay.levelId && !level) {
+            throw new Error(`Replay was recorded on unknown level "${replay.levelId}"`);
+        }
+        this.startGame({ seed: replay.seed, mode: 'replay', replay, level });
+    }
+    
+    exportReplay() {
+        if (!this.lastReplay) return;
+        
+        const blob = new Blob([Replay.stringify(this.lastReplay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `chromatic-rush-${SeededRandom.formatSeed(this.lastReplay.seed)}-${this.lastReplay.finalScore ?? 0}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    async importReplay(file) {
+        try {
+            const replay = Replay.parse(await file.text());
+            this.startReplay(replay);
+        } catch (e) {
+            console.warn('Failed to import replay:', e);
+            alert(`לא ניתן לטעון את השידור החוזר: ${e.message}`);
+        }
     }
     
     returnToMenu() {
         this.gameState = 'menu';
         this.paused = false;
+        this.ui.updateDailyInfo(this.dailyChallenge);
         this.showScreen('mainMenu');
     }
     
     gameOver() {
         this.gameState = 'gameOver';
+        this.saveReplay();
         
-        // Update final stats
-        this.ui.updateGameOverStats(this.score, this.distance, this.stats.wallsPainted);
+        // Update final stats - only endless runs set the high score
+        this.ui.updateGameOverStats(this.score, this.distance, this.stats.wallsPainted, this.mode === 'endless');
+        this.ui.updateComboStats(this.stats.bestCombo, this.stats.bestMultiplier);
+        this.ui.updateSeed(this.seed);
+        
+        if (this.mode === 'daily') {
+            if (this.dailyScored) {
+                this.dailyChallenge.recordScore(this.score, this.dailyDate);
+            }
+            this.ui.updateDailyResult(this.dailyChallenge, this.dailyScored);
+        }
         
         // Show game over screen
         this.showScreen('gameOverScreen');
         
-        // Check achievements
+        this.checkRunAchievements();
+    }
+    
+    // Reached the end of a campaign level
+    completeLevel() {
+        this.gameState = 'levelComplete';
+        this.saveReplay();
+        
+        const result = this.campaign.evaluate(this.level, this.stats);
+        const improved = this.mode === 'campaign' && this.campaign.recordResult(this.level.id, result.stars);
+        const next = this.campaign.getNextLevel(this.level.id);
+        
+        this.ui.updateLevelResult(this.level, result, {
+            score: this.score,
+            improved,
+            hasNext: this.mode === 'campaign' && next !== null && this.campaign.isUnlocked(next.id)
+        });
+        this.showScreen('levelCompleteScreen');
+        
+        this.checkRunAchievements();
+    }
+    
+    // Keep the replay of this run (or the one just watched) for export
+    saveReplay() {
+        if (this.replayPlayer) {
+            this.lastReplay = this.replayPlayer.replay;
+            if (this.lastReplay.finalScore !== null && this.lastReplay.finalScore !== this.score) {
+                console.warn(`Replay desync: recorded score ${this.lastReplay.finalScore}, replayed ${this.score}`);
+            }
+        } else if (this.replayRecorder) {
+            this.lastReplay = this.replayRecorder.finish({ score: this.score, distance: this.distance });
+            this.replayRecorder = null;
+        }
+    }
+    
+    checkRunAchievements() {
         this.achievementsSystem.checkAchievement('collector', this.stats.coinsCollected >= 100);
         this.achievementsSystem.checkAchievement('rebel', this.score >= 5000);
         this.achievementsSystem.checkAchievement('speed_demon', this.distance >= 1000);
     }
     
+    /**
+     * Apply damage with the usual invulnerability window. Returns false when
+     * the player was invulnerable; ends the run when health runs out.
+     */
+    hurtPlayer(player, amount, source = null) {
+        const health = player.getComponent('Health');
+        if (!health || health.invulnerable) return false;
+        
+        // A shield soaks up the hit, with the usual grace period afterwards
+        if (this.powerUpSystem.absorbHit(player)) {
+            health.invulnerable = true;
+            health.invulnerabilityTime = 1.0;
+            return false;
+        }
+        
+        if (!health.takeDamage(amount)) return false;
+        
+        this.stats.hitsTaken++;
+        health.invulnerable = true;
+        health.invulnerabilityTime = 1.5;
+        
+        const transform = player.getComponent('Transform');
+        this.events.emit(GameEvents.DAMAGED, {
+            entity: player,
+            source,
+            amount,
+            health: health.current,
+            x: transform.x + transform.width/2,
+            y: transform.y + transform.height/2
+        });
+        
+        // Game over check
+        if (health.current <= 0) {
+            this.gameOver();
+        }
+        return true;
+    }
+    
+    /**
+     * Spray damage on a boss. Only lands while its weak point is exposed;
+     * returns true when it did.
+     */
+    hurtBoss(entity, amount) {
+        const boss = entity.getComponent('Boss');
+        const health = entity.getComponent('Health');
+        const ai = entity.getComponent('AIController');
+        if (ai.state !== 'exposed' || !health.takeDamage(amount)) return false;
+        
+        boss.hitFlash = 0.1;
+        const weakPoint = boss.weakPoint.getComponent('Transform');
+        const x = weakPoint.x + weakPoint.width/2;
+        const y = weakPoint.y + weakPoint.height/2;
+        
+        this.events.emit(GameEvents.BOSS_HIT, {
+            boss: entity,
+            kind: boss.kind,
+            amount,
+            health: health.current,
+            max: health.max,
+            x,
+            y
+        });
+        
+        if (health.current <= 0) {
+            const reward = BOSSES[boss.kind].reward;
+            ai.state = 'defeated';
+            ai.timer = 0;
+            this.stats.bossesDefeated++;
+            this.addScore(reward);
+            this.events.emit(GameEvents.BOSS_DEFEATED, { boss: entity, kind: boss.kind, reward, x, y });
+        }
+        return true;
+    }
+    
+    // How fast the run advances, in pixels per second
+    getRunSpeed() {
+        const controller = this.player?.getComponent('PlayerController');
+        if (!controller) return 0;
+        return controller.moveSpeed * controller.speedBoost * this.gameSpeed;
+    }
+    
     addScore(points) {
-        this.score += Math.floor(points * this.gameSpeed);
+        const multiplier = this.comboSystem.multiplier * this.powerUpSystem.getScoreMultiplier();
+        this.score += Math.floor(points * this.gameSpeed * multiplier);
         this.ui.updateScore(this.score);
     }
     
@@ -1830,70 +4254,107 @@ class ChromaticRush {
             return;
         }
         
-        // Calculate delta time
-        this.deltaTime = Math.min((currentTime - this.lastTime) / 1000, 0.1); // Cap at 100ms
+        // Accumulate real time, then simulate it in fixed steps so physics
+        // is identical at 30 Hz and 144 Hz
+        const frameTime = Math.min((currentTime - this.lastTime) / 1000, this.maxFrameTime);
         this.lastTime = currentTime;
-        this.gameTime += this.deltaTime;
+        this.accumulator += frameTime;
         
-        // Update game stats
-        this.distance += 100 * this.deltaTime * this.gameSpeed;
-        this.stats.survivalTime = this.gameTime;
+        while (this.accumulator >= this.fixedTimeStep && this.gameState === 'playing' && !this.paused) {
+            this.step(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+        }
+        
+        // Render frame, interpolating between the last two simulation steps
+        const entities = Array.from(this.entityManager.entities.values());
+        this.renderer.render(entities, this.accumulator / this.fixedTimeStep);
+        
+        // Continue game loop
+        requestAnimationFrame((time) => this.gameLoop(time));
+    }
+    
+    step(deltaTime) {
+        // Replays feed back the recorded input of each step
+        let replayFrame = null;
+        if (this.replayPlayer) {
+            replayFrame = this.replayPlayer.nextFrame();
+            if (!replayFrame) {
+                this.gameOver();
+                return;
+            }
+        }
+        
+        this.deltaTime = deltaTime;
+        this.gameTime += deltaTime;
         
         // Gradually increase game speed
         this.gameSpeed = Math.min(2.0, 1 + this.gameTime * 0.01);
         
+        // Update game stats - distance is the one measure of progress
+        this.distance += this.getRunSpeed() * deltaTime;
+        this.stats.survivalTime = this.gameTime;
+        
         // Process player input
-        this.handleInput();
+        this.handleInput(replayFrame?.actions);
         
         // Update entity manager
         this.entityManager.update();
         
-        // Run systems
+        // Remember where everything was before this step (for interpolation)
         const entities = Array.from(this.entityManager.entities.values());
+        for (const entity of entities) {
+            const transform = entity.getComponent('Transform');
+            if (transform) {
+                transform.previousX = transform.x;
+                transform.previousY = transform.y;
+            }
+        }
+        
+        // Run systems
         for (const system of this.systems) {
             if (system.enabled) {
-                system.update(this.deltaTime, entities);
+                system.update(deltaTime, entities);
             }
         }
         
         // Generate world content
-        this.worldGenerator.update(this.deltaTime);
+        this.worldGenerator.update(deltaTime);
         
         // Update camera
         this.renderer.updateCamera(this.player);
         
-        // Render frame
-        this.renderer.render(entities, this.deltaTime);
-        
-        // Continue game loop
-        requestAnimationFrame((time) => this.gameLoop(time));
+        if (this.level && this.gameState === 'playing') {
+            this.ui.updateLevelGoals(this.campaign.evaluate(this.level, this.stats, false).goals);
+            
+            if (this.worldGenerator.isLevelComplete()) {
+                this.completeLevel();
+            }
+        }
     }
     
-    handleInput() {
+    handleInput(replayActions = null) {
         if (!this.player) return;
         
         const controller = this.player.getComponent('PlayerController');
         if (!controller) return;
         
-        // Reset actions
-        controller.actions.jump = false;
-        controller.actions.duck = false;
-        controller.actions.spray = false;
+        // Check input (live keys, or the recorded frame during a replay)
+        const input = replayActions || {
+            jump: this.inputManager.isJumpPressed(),
+            duck: this.inputManager.isDuckPressed(),
+            spray: this.inputManager.isSprayPressed()
+        };
+        
+        controller.actions.jump = input.jump;
+        controller.actions.duck = input.duck;
+        controller.actions.spray = input.spray;
         
-        // Check input
-        if (this.inputManager.isJumpPressed()) {
-            controller.actions.jump = true;
+        if (input.jump) {
             this.stats.jumpCount++;
             this.achievementsSystem.checkAchievement('first_jump', this.stats.jumpCount >= 1);
         }
         
-        if (this.inputManager.isDuckPressed()) {
-            controller.actions.duck = true;
-        }
-        
-        if (this.inputManager.isSprayPressed()) {
-            controller.actions.spray = true;
-        }
+        this.replayRecorder?.recordFrame(input);
         
         // Pause check
         if (this.inputManager.isPressed('Escape') || this.inputManager.isPressed('KeyP')) {
@@ -1902,64 +4363,902 @@ class ChromaticRush {
     }
 }
 
+// Seeded PRNG (mulberry32) - same seed, same sequence on every device
+class SeededRandom {
+    constructor(seed = SeededRandom.randomSeed()) {
+        this.setSeed(seed);
+    }
+
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    static hashString(text) {
+        // FNV-1a 32-bit
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    // Seeds are shown to players as short base-36 codes ("K3J9XQ")
+    static formatSeed(seed) {
+        return (seed >>> 0).toString(36).toUpperCase();
+    }
+
+    static parseSeed(text) {
+        const trimmed = String(text ?? '').trim();
+        if (!trimmed) return null;
+
+        if (/^[0-9a-z]{1,7}$/i.test(trimmed)) {
+            const value = parseInt(trimmed, 36);
+            if (value <= 0xffffffff) return value >>> 0;
+        }
+
+        // Any other text (e.g. "grey-city") still maps to a stable seed
+        return SeededRandom.hashString(trimmed);
+    }
+
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    // Float in [0, 1)
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+// Daily Challenge - one scored run per day on a date-derived street
+class DailyChallenge {
+    constructor(storage) {
+        this.storage = storage;
+        this.storageKey = 'chromaticRush_daily';
+        this.data = this.load();
+    }
+
+    static dateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    static previousDateKey(date = new Date()) {
+        const yesterday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - 1);
+        return DailyChallenge.dateKey(yesterday);
+    }
+
+    getSeed(date = new Date()) {
+        return SeededRandom.hashString(`daily-${DailyChallenge.dateKey(date)}`);
+    }
+
+    hasPlayedToday() {
+        return DailyChallenge.dateKey() in this.data.history;
+    }
+
+    getTodayScore() {
+        return this.data.history[DailyChallenge.dateKey()] ?? null;
+    }
+
+    // A streak only counts while the last daily run was today or yesterday
+    getStreak() {
+        const today = DailyChallenge.dateKey();
+        const yesterday = DailyChallenge.previousDateKey();
+        if (this.data.lastPlayed === today || this.data.lastPlayed === yesterday) {
+            return this.data.streak;
+        }
+        return 0;
+    }
+
+    /**
+     * Consume the attempt for date's day. Returns false when it was already
+     * used, in which case the run is practice only.
+     */
+    beginAttempt(date = new Date()) {
+        const day = DailyChallenge.dateKey(date);
+        if (day in this.data.history) return false;
+
+        this.data.streak = this.data.lastPlayed === DailyChallenge.previousDateKey(date) ? this.data.streak + 1 : 1;
+        this.data.lastPlayed = day;
+        this.data.history[day] = 0;
+        this.save();
+        return true;
+    }
+
+    // date is when the run started, so a run past midnight files under its own day
+    recordScore(score, date = new Date()) {
+        const day = DailyChallenge.dateKey(date);
+        this.data.history[day] = Math.max(this.data.history[day] || 0, score);
+        this.save();
+    }
+
+    load() {
+        const empty = { history: {}, streak: 0, lastPlayed: null };
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            return saved ? { ...empty, ...JSON.parse(saved) } : empty;
+        } catch (e) {
+            console.warn('Failed to load daily challenge data:', e);
+            return empty;
+        }
+    }
+
+    save() {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+}
+
+// Campaign goals - progress is read from the run's stats
+const LEVEL_GOALS = {
+    paint_walls: {
+        label: target => `צבע ${target} קירות`,
+        progress: stats => stats.wallsPainted
+    },
+    collect_coins: {
+        label: target => `אסוף ${target} מטבעות`,
+        progress: stats => stats.coinsCollected
+    },
+    no_hit: {
+        label: () => 'סיים בלי פגיעה',
+        progress: stats => stats.hitsTaken === 0 ? 1 : 0
+    }
+};
+
+// Authored campaign levels. Placements are in world x; walls take the place
+// of a background building and ask for a paint recipe.
+const CAMPAIGN_LEVELS = [
+    {
+        id: 'first_tag',
+        name: 'תג ראשון',
+        length: 4500,
+        goals: [{ type: 'paint_walls', target: 2 }, { type: 'collect_coins', target: 10 }],
+        entities: [
+            { type: 'collectible', kind: 'coin', x: 500, count: 5, spacing: 40 },
+            { type: 'obstacle', kind: 'cone', x: 900 },
+            { type: 'collectible', kind: 'paint_red', x: 1050 },
+            { type: 'collectible', kind: 'paint_blue', x: 1150 },
+            { type: 'wall', x: 1200, recipe: { red: 1 } },
+            { type: 'obstacle', kind: 'barrier', x: 1600 },
+            { type: 'collectible', kind: 'coin', x: 1800, count: 5, spacing: 40 },
+            { type: 'wall', x: 2400, recipe: { blue: 1 } },
+            { type: 'collectible', kind: 'paint_yellow', x: 2600 },
+            { type: 'obstacle', kind: 'cone', x: 2900 },
+            { type: 'obstacle', kind: 'cone', x: 2980 },
+            { type: 'collectible', kind: 'coin', x: 3200, count: 5, spacing: 40 },
+            { type: 'wall', x: 3600, recipe: { yellow: 1 } }
+        ]
+    },
+    {
+        id: 'cone_alley',
+        name: 'סמטת הקונוסים',
+        length: 6000,
+        goals: [{ type: 'collect_coins', target: 20 }, { type: 'no_hit' }],
+        entities: [
+            { type: 'pattern', name: 'double_cone', x: 600 },
+            { type: 'collectible', kind: 'coin', x: 900, count: 6, spacing: 40 },
+            { type: 'pattern', name: 'pothole_series', x: 1400 },
+            { type: 'pattern', name: 'double_cone', x: 1900 },
+            { type: 'collectible', kind: 'coin', x: 2200, count: 6, spacing: 40, y: 330 },
+            { type: 'pattern', name: 'grind_rail', x: 2800 },
+            { type: 'pattern', name: 'single_barrier', x: 3400 },
+            { type: 'collectible', kind: 'coin', x: 3700, count: 6, spacing: 40 },
+            { type: 'pattern', name: 'pothole_series', x: 4300 },
+            { type: 'pattern', name: 'double_cone', x: 4900 },
+            { type: 'collectible', kind: 'coin', x: 5200, count: 6, spacing: 40 }
+        ]
+    },
+    {
+        id: 'rooftops',
+        name: 'ריצת גגות',
+        length: 7000,
+        goals: [{ type: 'paint_walls', target: 3 }, { type: 'collect_coins', target: 20 }],
+        entities: [
+            { type: 'pattern', name: 'ledge_run', x: 600 },
+            { type: 'collectible', kind: 'paint_green', x: 1000 },
+            { type: 'wall', x: 1200, recipe: { green: 1 } },
+            { type: 'pattern', name: 'corporate_ambush', x: 1700 },
+            { type: 'collectible', kind: 'coin', x: 2100, count: 6, spacing: 40 },
+            { type: 'pattern', name: 'ledge_run', x: 2600 },
+            { type: 'pattern', name: 'paint_trail', x: 3000 },
+            { type: 'wall', x: 3400, recipe: { red: 1, blue: 1 } },
+            { type: 'pattern', name: 'corporate_ambush', x: 3900 },
+            { type: 'collectible', kind: 'coin', x: 4300, count: 6, spacing: 40, y: 330 },
+            { type: 'pattern', name: 'grind_rail', x: 4800 },
+            { type: 'pattern', name: 'paint_trail', x: 5300 },
+            { type: 'wall', x: 5600, recipe: { purple: 1 } },
+            { type: 'collectible', kind: 'coin', x: 6000, count: 6, spacing: 40 }
+        ]
+    },
+    {
+        id: 'drone_sweep',
+        name: 'סריקת רחפנים',
+        length: 8000,
+        goals: [{ type: 'no_hit' }, { type: 'paint_walls', target: 4 }],
+        entities: [
+            { type: 'pattern', name: 'drone_patrol', x: 700 },
+            { type: 'collectible', kind: 'power_up', x: 1100, powerUp: 'shield' },
+            { type: 'wall', x: 1400, recipe: { red: 1 } },
+            { type: 'collectible', kind: 'paint_red', x: 1250 },
+            { type: 'pattern', name: 'drone_patrol', x: 1900 },
+            { type: 'pattern', name: 'paint_trail', x: 2400 },
+            { type: 'wall', x: 2800, recipe: { blue: 1, yellow: 1 } },
+            { type: 'pattern', name: 'corporate_ambush', x: 3300 },
+            { type: 'pattern', name: 'drone_patrol', x: 3900 },
+            { type: 'pattern', name: 'paint_trail', x: 4400 },
+            { type: 'wall', x: 4800, recipe: { green: 2 } },
+            { type: 'pattern', name: 'drone_patrol', x: 5400 },
+            { type: 'collectible', kind: 'power_up', x: 5900, powerUp: 'magnet' },
+            { type: 'pattern', name: 'paint_trail', x: 6200 },
+            { type: 'wall', x: 6600, recipe: { purple: 1, red: 1 } }
+        ]
+    },
+    {
+        id: 'grey_tower',
+        name: 'המגדל האפור',
+        length: 10000,
+        goals: [{ type: 'paint_walls', target: 5 }, { type: 'collect_coins', target: 30 }],
+        entities: [
+            { type: 'pattern', name: 'paint_trail', x: 600 },
+            { type: 'wall', x: 1000, recipe: { red: 1, yellow: 1 } },
+            { type: 'pattern', name: 'corporate_ambush', x: 1500 },
+            { type: 'collectible', kind: 'coin', x: 1900, count: 8, spacing: 40 },
+            { type: 'pattern', name: 'grind_rail', x: 2500 },
+            { type: 'pattern', name: 'paint_trail', x: 3000 },
+            { type: 'wall', x: 3400, recipe: { blue: 2 } },
+            { type: 'pattern', name: 'drone_patrol', x: 3900 },
+            { type: 'collectible', kind: 'coin', x: 4300, count: 8, spacing: 40, y: 330 },
+            { type: 'pattern', name: 'ledge_run', x: 4900 },
+            { type: 'pattern', name: 'paint_trail', x: 5300 },
+            { type: 'wall', x: 5600, recipe: { green: 1, purple: 1 } },
+            { type: 'pattern', name: 'pothole_series', x: 6100 },
+            { type: 'collectible', kind: 'coin', x: 6500, count: 8, spacing: 40 },
+            { type: 'pattern', name: 'paint_trail', x: 7000 },
+            { type: 'wall', x: 7400, recipe: { red: 1, blue: 1 } },
+            { type: 'pattern', name: 'corporate_ambush', x: 7900 },
+            { type: 'collectible', kind: 'coin', x: 8300, count: 8, spacing: 40 },
+            { type: 'pattern', name: 'paint_trail', x: 8800 },
+            { type: 'wall', x: 9200, recipe: { yellow: 1, purple: 1 } }
+        ]
+    }
+];
+
+// Campaign - star ratings per level and unlock progression
+class Campaign {
+    constructor(storage, levels = CAMPAIGN_LEVELS) {
+        this.storage = storage;
+        this.storageKey = 'chromaticRush_campaign';
+        this.levels = levels;
+        this.data = this.load();
+    }
+
+    getLevel(id) {
+        return this.levels.find(level => level.id === id) || null;
+    }
+
+    getNextLevel(id) {
+        const index = this.levels.findIndex(level => level.id === id);
+        return index >= 0 ? this.levels[index + 1] || null : null;
+    }
+
+    getStars(id) {
+        return this.data.stars[id] || 0;
+    }
+
+    // The first level is always open; every other one needs a star on the one before
+    isUnlocked(id) {
+        const index = this.levels.findIndex(level => level.id === id);
+        return index === 0 || (index > 0 && this.getStars(this.levels[index - 1].id) > 0);
+    }
+
+    /**
+     * Score a finished level: one star for reaching the end, one more for
+     * each goal met, up to three.
+     */
+    evaluate(level, stats, completed = true) {
+        const goals = level.goals.map(goal => {
+            const definition = LEVEL_GOALS[goal.type];
+            const target = goal.target ?? 1;
+            const progress = definition.progress(stats);
+            return { ...goal, label: definition.label(target), progress, target, met: progress >= target };
+        });
+
+        const stars = completed ? Math.min(3, 1 + goals.filter(goal => goal.met).length) : 0;
+        return { goals, stars };
+    }
+
+    // Keeps the best rating; returns true when this one beat it
+    recordResult(id, stars) {
+        if (stars <= this.getStars(id)) return false;
+        this.data.stars[id] = stars;
+        this.save();
+        return true;
+    }
+
+    load() {
+        const empty = { stars: {} };
+        try {
+            const saved = this.storage.getItem(this.storageKey);
+            return saved ? { ...empty, ...JSON.parse(saved) } : empty;
+        } catch (e) {
+            console.warn('Failed to load campaign progress:', e);
+            return empty;
+        }
+    }
+
+    save() {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.data));
+    }
+}
+
+// Replays - input per fixed simulation step, enough to re-run a game exactly
+class Replay {
+    static get FORMAT() { return 'chromatic-rush-replay'; }
+    static get VERSION() { return 2; }
+
+    // jump/duck/spray packed into one digit per frame
+    static encodeActions(actions) {
+        return (actions.jump ? 1 : 0) | (actions.duck ? 2 : 0) | (actions.spray ? 4 : 0);
+    }
+
+    static decodeActions(mask) {
+        return {
+            jump: (mask & 1) !== 0,
+            duck: (mask & 2) !== 0,
+            spray: (mask & 4) !== 0
+        };
+    }
+
+    static validate(data) {
+        if (!data || data.format !== Replay.FORMAT) {
+            throw new Error('Not a Chromatic Rush replay file');
+        }
+        if (data.version !== Replay.VERSION) {
+            // Version 1 replays used variable frame timing and can't be reproduced
+            throw new Error(`Unsupported replay version: ${data.version}`);
+        }
+        if (typeof data.seed !== 'number' || typeof data.inputs !== 'string' || typeof data.timestep !== 'number') {
+            throw new Error('Replay is missing seed, inputs or timestep');
+        }
+        if (/[^0-7]/.test(data.inputs)) {
+            throw new Error('Replay input data is corrupted');
+        }
+        return data;
+    }
+
+    static parse(json) {
+        return Replay.validate(JSON.parse(json));
+    }
+
+    static stringify(replay) {
+        return JSON.stringify(replay);
+    }
+}
+
+class ReplayRecorder {
+    constructor(seed, mode, timestep, levelId = null) {
+        this.seed = seed;
+        this.mode = mode;
+        this.timestep = timestep;
+        this.levelId = levelId;
+        this.inputs = [];
+    }
+
+    recordFrame(actions) {
+        this.inputs.push(Replay.encodeActions(actions));
+    }
+
+    finish(result = {}) {
+        return {
+            format: Replay.FORMAT,
+            version: Replay.VERSION,
+            seed: this.seed,
+            mode: this.mode,
+            levelId: this.levelId,
+            recordedAt: new Date().toISOString(),
+            finalScore: result.score ?? null,
+            finalDistance: result.distance ?? null,
+            timestep: this.timestep,
+            inputs: this.inputs.join('')
+        };
+    }
+}
+
+class ReplayPlayer {
+    constructor(replay) {
+        this.replay = Replay.validate(replay);
+        this.frame = 0;
+    }
+
+    get finished() {
+        return this.frame >= this.replay.inputs.length;
+    }
+
+    nextFrame() {
+        if (this.finished) return null;
+
+        const frame = {
+            actions: Replay.decodeActions(Number(this.replay.inputs[this.frame]))
+        };
+        this.frame++;
+        return frame;
+    }
+}
+
+// Level data format - plain JSON, so pattern libraries and levels can live
+// in .json files and be added without touching game code.
+//
+//   Pattern library  { version: 1, patterns: [Pattern] }
+//   Pattern          { name, weight > 0, minDistance >= 0, entities: [Entity] }
+//                    Entity x is an offset from where the pattern starts.
+//   Level            { version?: 1, id, name, length > 0, goals: [Goal], entities: [Entity | Wall | PatternRef | Boss] }
+//                    Entity x is a world position. Level files saved by the editor are a
+//                    single Level with version set.
+//   Goal             { type: paint_walls | collect_coins | no_hit, target? (whole number) }
+//
+//   Entity           { type, x, y?, ... } where type is one of
+//     obstacle         kind, damage?
+//     moving_obstacle  kind, damage?, ai?: { type: <AI_BEHAVIORS key>, ...config (speed?, range?, ...) }
+//     collectible      kind: coin | spray_can | power_up | paint_<colour>, value?, powerUp?, count?, spacing?
+//     paint            a paint can in a colour the latest wall asks for
+//     platform / rail  y, width
+//   Wall             { type: 'wall', x, recipe: { <colour>: cans } } (levels only)
+//   PatternRef       { type: 'pattern', name, x } (levels only)
+//   Boss             { type: 'boss', kind: armored_truck | drone_mothership, x } (levels only;
+//                    the boss arrives as the rider nears x)
+class LevelData {
+    static get VERSION() { return 1; }
+    static get ENTITY_TYPES() { return ['obstacle', 'moving_obstacle', 'collectible', 'paint', 'platform', 'rail']; }
+    static get LEVEL_ENTITY_TYPES() { return [...LevelData.ENTITY_TYPES, 'wall', 'pattern', 'boss']; }
+    static get AI_TYPES() { return Object.keys(AI_BEHAVIORS); }
+    static get OBSTACLE_KINDS() { return ['barrier', 'cone', 'pothole', 'corporate_van', 'security_drone', 'corporate_guard']; }
+
+    static get COLLECTIBLE_KINDS() {
+        return ['coin', 'spray_can', 'power_up', ...Object.keys(PAINT_COLORS).map(color => `paint_${color}`)];
+    }
+
+    /**
+     * Check a pattern library and return it. Throws one error listing every
+     * problem found, each prefixed with its path in the data.
+     */
+    static validatePatternLibrary(library) {
+        const errors = [];
+
+        if (!LevelData.isObject(library)) {
+            throw new Error('Invalid pattern library: expected an object');
+        }
+        if (library.version !== LevelData.VERSION) {
+            errors.push(`version: expected ${LevelData.VERSION}, got ${JSON.stringify(library.version)}`);
+        }
+
+        if (!Array.isArray(library.patterns)) {
+            errors.push('patterns: expected an array');
+        } else {
+            const names = new Set();
+            library.patterns.forEach((pattern, i) => {
+                const path = `patterns[${i}]`;
+                if (!LevelData.isObject(pattern)) {
+                    errors.push(`${path}: expected an object`);
+                    return;
+                }
+
+                LevelData.checkString(pattern.name, `${path}.name`, errors);
+                if (names.has(pattern.name)) errors.push(`${path}.name: duplicate pattern "${pattern.name}"`);
+                names.add(pattern.name);
+
+                LevelData.checkNumber(pattern.weight, `${path}.weight`, errors, { min: 0, exclusiveMin: true });
+                LevelData.checkNumber(pattern.minDistance, `${path}.minDistance`, errors, { min: 0 });
+                LevelData.checkEntities(pattern.entities, `${path}.entities`, errors, LevelData.ENTITY_TYPES);
+            });
+        }
+
+        LevelData.throwIfInvalid('pattern library', errors);
+        return library;
+    }
+
+    // patternNames lists the patterns a level's PatternRefs may use
+    static validateLevel(level, patternNames = []) {
+        const errors = [];
+
+        if (!LevelData.isObject(level)) {
+            throw new Error('Invalid level: expected an object');
+        }
+
+        if (level.version !== undefined && level.version !== LevelData.VERSION) {
+            errors.push(`version: expected ${LevelData.VERSION}, got ${JSON.stringify(level.version)}`);
+        }
+        LevelData.checkString(level.id, 'id', errors);
+        LevelData.checkString(level.name, 'name', errors);
+        LevelData.checkNumber(level.length, 'length', errors, { min: 0, exclusiveMin: true });
+
+        if (!Array.isArray(level.goals)) {
+            errors.push('goals: expected an array');
+        } else {
+            level.goals.forEach((goal, i) => {
+                const path = `goals[${i}]`;
+                if (!LevelData.isObject(goal) || !(goal.type in LEVEL_GOALS)) {
+                    errors.push(`${path}.type: expected one of ${Object.keys(LEVEL_GOALS).join(', ')}, got ${JSON.stringify(goal?.type)}`);
+                }
+                LevelData.checkNumber(goal?.target, `${path}.target`, errors, { min: 1, integer: true, optional: true });
+            });
+        }
+
+        LevelData.checkEntities(level.entities, 'entities', errors, LevelData.LEVEL_ENTITY_TYPES, patternNames);
+
+        LevelData.throwIfInvalid(`level "${level.id}"`, errors);
+        return level;
+    }
+
+    static checkEntities(entities, path, errors, allowedTypes, patternNames = []) {
+        if (!Array.isArray(entities)) {
+            errors.push(`${path}: expected an array`);
+            return;
+        }
+
+        entities.forEach((entry, i) => {
+            const entryPath = `${path}[${i}]`;
+            if (!LevelData.isObject(entry)) {
+                errors.push(`${entryPath}: expected an object`);
+                return;
+            }
+            if (!allowedTypes.includes(entry.type)) {
+                errors.push(`${entryPath}.type: expected one of ${allowedTypes.join(', ')}, got ${JSON.stringify(entry.type)}`);
+                return;
+            }
+
+            LevelData.checkNumber(entry.x, `${entryPath}.x`, errors);
+            const needsY = entry.type === 'platform' || entry.type === 'rail';
+            LevelData.checkNumber(entry.y, `${entryPath}.y`, errors, { optional: !needsY });
+
+            switch (entry.type) {
+                case 'obstacle':
+                case 'moving_obstacle':
+                    if (!LevelData.OBSTACLE_KINDS.includes(entry.kind)) {
+                        errors.push(`${entryPath}.kind: expected one of ${LevelData.OBSTACLE_KINDS.join(', ')}, got ${JSON.stringify(entry.kind)}`);
+                    }
+                    LevelData.checkNumber(entry.damage, `${entryPath}.damage`, errors, { min: 0, optional: true });
+                    if (entry.ai !== undefined) {
+                        if (entry.type !== 'moving_obstacle') {
+                            errors.push(`${entryPath}.ai: only moving_obstacle entities have AI`);
+                        } else if (!LevelData.isObject(entry.ai) || !LevelData.AI_TYPES.includes(entry.ai.type)) {
+                            errors.push(`${entryPath}.ai.type: expected one of ${LevelData.AI_TYPES.join(', ')}, got ${JSON.stringify(entry.ai?.type)}`);
+                        } else {
+                            LevelData.checkAIConfig(entry.ai, `${entryPath}.ai`, errors);
+                        }
+                    }
+                    break;
+
+                case 'collectible':
+                    if (!LevelData.COLLECTIBLE_KINDS.includes(entry.kind)) {
+                        errors.push(`${entryPath}.kind: expected one of ${LevelData.COLLECTIBLE_KINDS.join(', ')}, got ${JSON.stringify(entry.kind)}`);
+                    }
+                    if (entry.powerUp !== undefined && (entry.kind !== 'power_up' || !(entry.powerUp in POWER_UPS))) {
+                        errors.push(`${entryPath}.powerUp: expected one of ${Object.keys(POWER_UPS).join(', ')} on a power_up, got ${JSON.stringify(entry.powerUp)}`);
+                    }
+                    LevelData.checkNumber(entry.value, `${entryPath}.value`, errors, { min: 0, optional: true });
+                    LevelData.checkNumber(entry.count, `${entryPath}.count`, errors, { min: 1, integer: true, optional: true });
+                    LevelData.checkNumber(entry.spacing, `${entryPath}.spacing`, errors, { optional: true });
+                    break;
+
+                case 'platform':
+                case 'rail':
+                    LevelData.checkNumber(entry.width, `${entryPath}.width`, errors, { min: 0, exclusiveMin: true });
+                    break;
+
+                case 'wall':
+                    if (!LevelData.isObject(entry.recipe) || Object.keys(entry.recipe).length === 0) {
+                        errors.push(`${entryPath}.recipe: expected an object of paint colours to cans`);
+                        break;
+                    }
+                    for (const [color, amount] of Object.entries(entry.recipe)) {
+                        if (!(color in PAINT_COLORS)) {
+                            errors.push(`${entryPath}.recipe.${color}: unknown paint colour (expected ${Object.keys(PAINT_COLORS).join(', ')})`);
+                        }
+                        LevelData.checkNumber(amount, `${entryPath}.recipe.${color}`, errors, { min: 1, integer: true });
+                    }
+                    break;
+
+                case 'pattern':
+                    if (!patternNames.includes(entry.name)) {
+                        errors.push(`${entryPath}.name: unknown pattern ${JSON.stringify(entry.name)}`);
+                    }
+                    break;
+
+                case 'boss':
+                    if (!(entry.kind in BOSSES)) {
+                        errors.push(`${entryPath}.kind: expected one of ${Object.keys(BOSSES).join(', ')}, got ${JSON.stringify(entry.kind)}`);
+                    }
+                    break;
+            }
+        });
+    }
+
+    // Every other key overrides one of the behaviour's numeric defaults
+    static checkAIConfig(ai, path, errors) {
+        const defaults = AI_BEHAVIORS[ai.type].defaults;
+
+        for (const [key, value] of Object.entries(ai)) {
+            if (key === 'type') continue;
+            if (!(key in defaults)) {
+                errors.push(`${path}.${key}: not a setting of "${ai.type}" (expected ${Object.keys(defaults).join(', ')})`);
+                continue;
+            }
+            LevelData.checkNumber(value, `${path}.${key}`, errors, { min: 0 });
+        }
+    }
+
+    static checkNumber(value, path, errors, { min = -Infinity, exclusiveMin = false, integer = false, optional = false } = {}) {
+        if (value === undefined && optional) return;
+
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+        } else if (exclusiveMin ? value <= min : value < min) {
+            errors.push(`${path}: must be ${exclusiveMin ? 'greater than' : 'at least'} ${min}, got ${value}`);
+        } else if (integer && !Number.isInteger(value)) {
+            errors.push(`${path}: expected a whole number, got ${value}`);
+        }
+    }
+
+    static checkString(value, path, errors) {
+        if (typeof value !== 'string' || value.length === 0) {
+            errors.push(`${path}: expected a non-empty string, got ${JSON.stringify(value)}`);
+        }
+    }
+
+    static isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static throwIfInvalid(what, errors) {
+        if (errors.length > 0) {
+            throw new Error(`Invalid ${what}:\n  ${errors.join('\n  ')}`);
+        }
+    }
+}
+
+// Built-in obstacle sequences for endless runs (and campaign PatternRefs)
+const DEFAULT_PATTERN_LIBRARY = {
+    version: 1,
+    patterns: [
+        {
+            name: 'single_barrier', weight: 30, minDistance: 0,
+            entities: [
+                { type: 'obstacle', kind: 'barrier', x: 0 },
+                { type: 'collectible', kind: 'coin', x: 50 },
+                { type: 'paint', x: 120 }
+            ]
+        },
+        {
+            name: 'double_cone', weight: 25, minDistance: 200,
+            entities: [
+                { type: 'obstacle', kind: 'cone', x: 0 },
+                { type: 'obstacle', kind: 'cone', x: 80 },
+                { type: 'collectible', kind: 'spray_can', x: 40 }
+            ]
+        },
+        {
+            name: 'pothole_series', weight: 20, minDistance: 400,
+            entities: [
+                { type: 'obstacle', kind: 'pothole', x: 0 },
+                { type: 'obstacle', kind: 'pothole', x: 60 },
+                { type: 'obstacle', kind: 'pothole', x: 120 },
+                { type: 'collectible', kind: 'power_up', x: 180 }
+            ]
+        },
+        {
+            name: 'corporate_ambush', weight: 15, minDistance: 600,
+            entities: [
+                { type: 'obstacle', kind: 'corporate_van', x: 0 },
+                { type: 'obstacle', kind: 'security_drone', x: 100 },
+                { type: 'collectible', kind: 'spray_can', x: -30 },
+                { type: 'collectible', kind: 'spray_can', x: 150 },
+                { type: 'collectible', kind: 'power_up', x: 220, powerUp: 'shield' }
+            ]
+        },
+        {
+            name: 'drone_patrol', weight: 10, minDistance: 800,
+            entities: [
+                { type: 'moving_obstacle', kind: 'security_drone', x: 0, ai: { type: 'patrol', speed: 80, range: 150 } },
+                { type: 'moving_obstacle', kind: 'security_drone', x: 120, ai: { type: 'patrol', speed: 80, range: 150 } },
+                { type: 'collectible', kind: 'coin', x: 60 },
+                { type: 'collectible', kind: 'coin', x: 180 }
+            ]
+        },
+        {
+            // Spray the incoming paint away, or jump the volley
+            name: 'drone_sentry', weight: 8, minDistance: 1200,
+            entities: [
+                { type: 'moving_obstacle', kind: 'security_drone', x: 200, ai: { type: 'sentry' } },
+                { type: 'collectible', kind: 'spray_can', x: 0 },
+                { type: 'collectible', kind: 'coin', x: 100 }
+            ]
+        },
+        {
+            name: 'guard_post', weight: 8, minDistance: 1800,
+            entities: [
+                { type: 'moving_obstacle', kind: 'corporate_guard', x: 250, y: 386, ai: { type: 'net_guard' } },
+                { type: 'collectible', kind: 'spray_can', x: 0 },
+                { type: 'collectible', kind: 'coin', x: 120, y: 300 }
+            ]
+        },
+        {
+            // Hop onto the ledge to ride over the barrier and grab the coins
+            name: 'ledge_run', weight: 15, minDistance: 300,
+            entities: [
+                { type: 'platform', x: 0, y: 360, width: 260 },
+                { type: 'obstacle', kind: 'barrier', x: 150 },
+                { type: 'collectible', kind: 'coin', x: 60, y: 310 },
+                { type: 'collectible', kind: 'coin', x: 160, y: 310 }
+            ]
+        },
+        {
+            // Grind over the cones, then pop off the end for a trick
+            name: 'grind_rail', weight: 15, minDistance: 500,
+            entities: [
+                { type: 'rail', x: 0, y: 380, width: 240 },
+                { type: 'obstacle', kind: 'cone', x: 80 },
+                { type: 'obstacle', kind: 'cone', x: 160 },
+                { type: 'collectible', kind: 'coin', x: 300, y: 300 }
+            ]
+        },
+        {
+            // An arc of paint cans - the outer two sit at riding height, the top one needs a jump
+            name: 'paint_trail', weight: 20, minDistance: 100,
+            entities: [
+                { type: 'paint', x: 0, y: 400 },
+                { type: 'paint', x: 60, y: 320 },
+                { type: 'paint', x: 120, y: 400 }
+            ]
+        }
+    ]
+};
+
 // World Generator
 class WorldGenerator {
     constructor(game) {
         this.game = game;
         this.lastSpawnX = 0;
         this.spawnDistance = 150;
-        this.patterns = this.initPatterns();
+        this.patterns = [];
         this.patternIndex = 0;
         this.buildingSpawnX = 0;
         this.buildingDistance = 200;
+        this.platformObstacles = new Set(['corporate_van']);
+        this.lastRecipe = {};
+        this.level = null;
+        this.levelPlacements = [];
+        this.levelWalls = [];
+        this.boss = null;               // Boss entity currently on the street
+        this.bossCount = 0;
+        this.firstBossDistance = 2500;  // Endless runs meet bosses at distance milestones
+        this.bossInterval = 4000;       // Distance after one boss leaves before the next
+        this.nextBossDistance = this.firstBossDistance;
+        this.random = new SeededRandom();
+        this.loadPatternLibrary(DEFAULT_PATTERN_LIBRARY);
     }
-    
-    initPatterns() {
-        return [
-            // Simple obstacles
-            { type: 'single_barrier', weight: 30, minDistance: 0 },
-            { type: 'double_cone', weight: 25, minDistance: 200 },
-            { type: 'pothole_series', weight: 20, minDistance: 400 },
-            { type: 'corporate_ambush', weight: 15, minDistance: 600 },
-            { type: 'drone_patrol', weight: 10, minDistance: 800 }
-        ];
+
+    get seed() {
+        return this.random.seed;
+    }
+
+    /**
+     * Start a new street. With a campaign level, placements come from the
+     * level data instead of random patterns.
+     */
+    reset(seed, level = null, startX = 100) {
+        this.random.setSeed(seed);
+        this.startX = startX;
+        this.lastSpawnX = 0;
+        this.patternIndex = 0;
+        this.buildingSpawnX = Math.max(0, startX - 500);
+        this.lastRecipe = {};
+        this.boss = null;
+        this.bossCount = 0;
+        this.nextBossDistance = this.firstBossDistance;
+        this.level = level && LevelData.validateLevel(level, this.patterns.map(pattern => pattern.name));
+
+        // Playtests can start part-way in; skip what is already behind the rider
+        const byX = (a, b) => a.x - b.x;
+        const entities = (level ? level.entities : []).filter(entry => entry.x >= this.buildingSpawnX);
+        this.levelPlacements = entities.filter(entry => entry.type !== 'wall').sort(byX);
+        this.levelWalls = entities.filter(entry => entry.type === 'wall').sort(byX);
+    }
+
+    // Where the run has got to along the street
+    getProgressX() {
+        return this.startX + this.game.distance;
+    }
+
+    isLevelComplete() {
+        return this.level !== null && this.getProgressX() >= this.level.length;
+    }
+
+    /**
+     * Add a validated pattern library. Patterns replace built-in ones with
+     * the same name, so a library can retune or extend the defaults.
+     */
+    loadPatternLibrary(library) {
+        LevelData.validatePatternLibrary(library);
+        
+        for (const pattern of library.patterns) {
+            const index = this.patterns.findIndex(existing => existing.name === pattern.name);
+            if (index >= 0) {
+                this.patterns[index] = pattern;
+            } else {
+                this.patterns.push(pattern);
+            }
+        }
+        return this;
     }
     
     generateInitialWorld() {
         // Generate initial background buildings
-        for (let x = 0; x < 2000; x += this.buildingDistance) {
-            this.spawnBuilding(x);
+        this.spawnBuildings(this.buildingSpawnX + 2000);
+        
+        if (this.level) {
+            this.spawnLevelPlacements(this.startX + 1100);
+            this.spawnFinishLine(this.level.length);
+            return;
         }
         
         // Generate initial obstacles and collectibles
-        this.lastSpawnX = 400; // Start spawning after player has some time
+        this.lastSpawnX = this.startX + 300; // Start spawning after player has some time
         for (let i = 0; i < 10; i++) {
             this.spawnPattern();
         }
     }
     
     update(deltaTime) {
-        const playerTransform = this.game.player?.getComponent('Transform');
-        if (!playerTransform) return;
+        if (!this.game.player) return;
         
-        const spawnThreshold = playerTransform.x + 800;
+        const progressX = this.getProgressX();
+        const spawnThreshold = progressX + 800;
         
-        // Spawn new content as player progresses
-        while (this.lastSpawnX < spawnThreshold) {
-            this.spawnPattern();
+        if (this.boss?.destroy) {
+            this.boss = null;
+            this.nextBossDistance = this.game.distance + this.bossInterval;
         }
         
-        // Spawn buildings
-        while (this.buildingSpawnX < spawnThreshold + 400) {
-            this.spawnBuilding(this.buildingSpawnX);
-            this.buildingSpawnX += this.buildingDistance + Math.random() * 100;
+        // Spawn new content as player progresses. A boss fight replaces
+        // random patterns with the boss's own volleys.
+        if (this.level) {
+            this.spawnLevelPlacements(spawnThreshold);
+        } else if (this.boss) {
+            this.lastSpawnX = Math.max(this.lastSpawnX, spawnThreshold);
+        } else if (this.game.distance >= this.nextBossDistance) {
+            const kinds = Object.keys(BOSSES);
+            this.spawnBoss(kinds[this.bossCount % kinds.length]);
+        } else {
+            while (this.lastSpawnX < spawnThreshold) {
+                this.spawnPattern();
+            }
         }
         
+        this.spawnBuildings(spawnThreshold + 400);
+        
         // Remove entities that are far behind the player
-        const cleanupThreshold = playerTransform.x - 400;
+        const cleanupThreshold = progressX - 400;
         const entities = Array.from(this.game.entityManager.entities.values());
         for (const entity of entities) {
-            if (entity.hasTag('obstacle') || entity.hasTag('collectible') || entity.hasTag('building')) {
+            if (entity.hasTag('obstacle') || entity.hasTag('collectible') || entity.hasTag('building') || entity.hasTag('platform')) {
                 const transform = entity.getComponent('Transform');
                 if (transform && transform.x < cleanupThreshold) {
                     entity.destroy = true;
@@ -1974,7 +5273,7 @@ class WorldGenerator {
         
         // Weighted random selection
         const totalWeight = availablePatterns.reduce((sum, p) => sum + p.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.random.next() * totalWeight;
         let selectedPattern = availablePatterns[0];
         
         for (const pattern of availablePatterns) {
@@ -1985,109 +5284,297 @@ class WorldGenerator {
             }
         }
         
-        this.executePattern(selectedPattern.type);
-        this.lastSpawnX += this.spawnDistance + Math.random() * 100;
+        this.executePattern(selectedPattern.name);
+        this.lastSpawnX += this.spawnDistance + this.random.range(0, 100);
     }
     
-    executePattern(patternType) {
-        const x = this.lastSpawnX;
+    executePattern(name, x = this.lastSpawnX) {
+        const pattern = this.patterns.find(candidate => candidate.name === name);
+        if (!pattern) {
+            throw new Error(`Unknown pattern "${name}"`);
+        }
         
-        switch (patternType) {
-            case 'single_barrier':
-                this.spawnObstacle(x, 'barrier');
-                this.spawnCollectible(x + 50, 'coin');
-                break;
-                
-            case 'double_cone':
-                this.spawnObstacle(x, 'cone');
-                this.spawnObstacle(x + 80, 'cone');
-                this.spawnCollectible(x + 40, 'spray_can');
-                break;
-                
-            case 'pothole_series':
-                for (let i = 0; i < 3; i++) {
-                    this.spawnObstacle(x + i * 60, 'pothole');
-                }
-                this.spawnCollectible(x + 180, 'power_up');
-                break;
-                
-            case 'corporate_ambush':
-                this.spawnObstacle(x, 'corporate_van');
-                this.spawnObstacle(x + 100, 'security_drone');
-                this.spawnCollectible(x - 30, 'spray_can');
-                this.spawnCollectible(x + 150, 'spray_can');
-                break;
-                
-            case 'drone_patrol':
-                for (let i = 0; i < 2; i++) {
-                    this.spawnMovingObstacle(x + i * 120, 'security_drone', 'patrol');
-                }
-                this.spawnCollectible(x + 60, 'coin');
-                this.spawnCollectible(x + 180, 'coin');
-                break;
+        for (const entry of pattern.entities) {
+            this.spawnEntry(entry, x);
         }
     }
     
-    spawnObstacle(x, type) {
+    spawnObstacle(x, type, y = 380) {
         const obstacle = new Entity()
-            .addComponent(new Transform(x, 380, 64, 64))
+            .addComponent(new Transform(x, y, 64, 64))
             .addComponent(new Sprite('obstacles', type, 1))
-            .addComponent(new Collider(60, 60, 2, 2))
+            .addComponent(new Collider(60, 60, 2, 2).setLayer(CollisionLayer.OBSTACLE, CollisionLayer.PLAYER))
             .addComponent(new Obstacle(type, 1))
             .addTag('obstacle');
         
-        this.game.entityManager.addEntity(obstacle);
+        // Vans have a roof the rider can land on and ride over
+        if (this.platformObstacles.has(type)) {
+            obstacle.addComponent(new Platform(false));
+        }
+        
+        return this.game.entityManager.addEntity(obstacle);
+    }
+    
+    spawnRail(x, y, width) {
+        const rail = new Entity()
+            .addComponent(new Transform(x, y, width, 8))
+            .addComponent(new Sprite('platforms', 'rail', 1))
+            .addComponent(new Collider(width, 8, 0, 0).setLayer(CollisionLayer.PLATFORM, CollisionLayer.PLAYER))
+            .addComponent(new Platform(true))
+            .addComponent(new Rail())
+            .addTag('platform')
+            .addTag('rail');
+        
+        return this.game.entityManager.addEntity(rail);
     }
     
-    spawnMovingObstacle(x, type, aiType) {
+    spawnPlatform(x, y, width) {
+        const platform = new Entity()
+            .addComponent(new Transform(x, y, width, 16))
+            .addComponent(new Sprite('platforms', 'ledge', 1))
+            .addComponent(new Collider(width, 16, 0, 0).setLayer(CollisionLayer.PLATFORM, CollisionLayer.PLAYER))
+            .addComponent(new Platform(true))
+            .addTag('platform');
+        
+        return this.game.entityManager.addEntity(platform);
+    }
+    
+    spawnMovingObstacle(x, type, ai = {}, y = 200) {
+        const { type: aiType = 'patrol', ...config } = ai;
         const obstacle = new Entity()
-            .addComponent(new Transform(x, 200, 64, 64))
+            .addComponent(new Transform(x, y, 64, 64))
             .addComponent(new Velocity(0, 0))
             .addComponent(new Physics())
             .addComponent(new Sprite('obstacles', type, 1))
-            .addComponent(new Collider(60, 60, 2, 2))
+            .addComponent(new Collider(60, 60, 2, 2).setLayer(CollisionLayer.OBSTACLE, CollisionLayer.PLAYER))
             .addComponent(new Obstacle(type, 1))
-            .addComponent(new AIController(aiType, { speed: 80, range: 150, startX: x }))
+            .addComponent(new AIController(aiType, { ...config, startX: x }))
             .addTag('obstacle')
             .addTag('ai');
         
-        this.game.entityManager.addEntity(obstacle);
+        return this.game.entityManager.addEntity(obstacle);
+    }
+    
+    // Enemy shot centred on (x, y)
+    spawnProjectile(x, y, kind, vx, vy) {
+        const definition = PROJECTILES[kind];
+        if (!definition) {
+            throw new Error(`Unknown projectile "${kind}"`);
+        }
+        
+        const size = definition.size;
+        const projectile = new Entity()
+            .addComponent(new Transform(x - size/2, y - size/2, size, size))
+            .addComponent(new Velocity(vx, vy))
+            .addComponent(new Sprite('projectiles', kind, 3))
+            .addComponent(new Collider(size - 4, size - 4, 2, 2).setLayer(CollisionLayer.PROJECTILE, CollisionLayer.PLAYER))
+            .addComponent(new Projectile(kind, definition.damage, definition.lifetime, definition.gravity))
+            .addTag('projectile');
+        
+        return this.game.entityManager.addEntity(projectile);
     }
     
-    spawnCollectible(x, type) {
+    // Bosses arrive from just off screen, ahead of the rider
+    spawnBoss(kind) {
+        const definition = BOSSES[kind];
+        if (!definition) {
+            throw new Error(`Unknown boss "${kind}"`);
+        }
+        
+        const x = this.game.player.getComponent('Transform').x + 700;
+        const boss = new Entity()
+            .addComponent(new Transform(x, definition.y, definition.width, definition.height))
+            .addComponent(new Velocity(0, 0))
+            .addComponent(new Physics())
+            .addComponent(new Sprite('bosses', kind, 1))
+            .addComponent(new Health(definition.health))
+            .addComponent(new AIController('boss'))
+            .addComponent(new Boss(kind))
+            .addTag('boss');
+        boss.getComponent('Physics').static = true;
+        
+        const { weakPoint } = definition;
+        const bossComponent = boss.getComponent('Boss');
+        bossComponent.weakPoint = this.game.entityManager.addEntity(new Entity()
+            .addComponent(new Transform(x + weakPoint.x, definition.y + weakPoint.y, weakPoint.width, weakPoint.height))
+            .addComponent(new Collider(weakPoint.width, weakPoint.height, 0, 0).setLayer(CollisionLayer.WEAKPOINT, CollisionLayer.PLAYER))
+            .addComponent(new WeakPoint(boss))
+            .addTag('weakpoint'));
+        
+        this.boss = this.game.entityManager.addEntity(boss);
+        this.bossCount++;
+        this.game.events.emit(GameEvents.BOSS_APPEARED, { boss, kind });
+        return boss;
+    }
+    
+    spawnCollectible(x, type, y = null, powerUp = null) {
         const groundY = 400;
-        const y = type === 'power_up' ? groundY - 80 : groundY - 20;
+        y ??= type === 'power_up' ? groundY - 80 : groundY - 20;
         
         const collectible = new Entity()
             .addComponent(new Transform(x, y, 32, 32))
             .addComponent(new Sprite('collectibles', type, 1))
-            .addComponent(new Collider(28, 28, 2, 2))
+            .addComponent(new Collider(28, 28, 2, 2).setLayer(CollisionLayer.COLLECTIBLE, CollisionLayer.PLAYER))
             .addComponent(new Collectible(type, this.getCollectibleValue(type)))
             .addTag('collectible');
         
-        // Add floating animation for power-ups
+        if (type.startsWith('paint_')) {
+            collectible.getComponent('Collectible').color = type.slice('paint_'.length);
+        }
+        
+        // Power-ups carry a specific effect and bob with a floating animation
         if (type === 'power_up') {
-            collectible.addComponent(new Animation(['power_up'], 0.1, true));
+            const kind = powerUp || this.pickPowerUp();
+            collectible.getComponent('Collectible').powerUp = kind;
+            collectible.getComponent('Sprite').frame = kind;
+            collectible.addComponent(new Animation([kind], 0.1, true));
+        }
+        
+        return this.game.entityManager.addEntity(collectible);
+    }
+    
+    // Paint cans lean towards the colours the most recent wall asks for
+    spawnPaint(x, y = null) {
+        const wanted = Object.keys(this.lastRecipe);
+        const color = wanted.length > 0 && this.random.chance(0.6)
+            ? this.random.pick(wanted)
+            : this.random.pick(Object.keys(PAINT_COLORS));
+        
+        return this.spawnCollectible(x, `paint_${color}`, y);
+    }
+    
+    createRecipe() {
+        const colors = [...Object.keys(PAINT_COLORS)];
+        const recipe = {};
+        const count = Math.floor(this.random.range(1, 4));
+        
+        for (let i = 0; i < count; i++) {
+            const color = colors.splice(Math.floor(this.random.next() * colors.length), 1)[0];
+            recipe[color] = this.random.chance(0.5) ? 2 : 1;
+        }
+        
+        return recipe;
+    }
+    
+    pickPowerUp() {
+        const kinds = Object.keys(POWER_UPS);
+        const totalWeight = kinds.reduce((sum, kind) => sum + POWER_UPS[kind].weight, 0);
+        let roll = this.random.next() * totalWeight;
+        
+        for (const kind of kinds) {
+            roll -= POWER_UPS[kind].weight;
+            if (roll <= 0) return kind;
+        }
+        return kinds[kinds.length - 1];
+    }
+    
+    // Level walls take the slot of the background building they fall in
+    spawnBuildings(untilX) {
+        while (this.buildingSpawnX < untilX) {
+            const wall = this.levelWalls[0];
+            
+            if (wall && wall.x < this.buildingSpawnX + this.buildingDistance) {
+                this.levelWalls.shift();
+                this.spawnBuilding(wall.x, wall);
+                this.buildingSpawnX = wall.x + this.buildingDistance;
+            } else {
+                this.spawnBuilding(this.buildingSpawnX);
+                this.buildingSpawnX += this.buildingDistance + this.random.range(0, 100);
+            }
+        }
+    }
+    
+    spawnLevelPlacements(untilX) {
+        while (this.levelPlacements.length > 0 && this.levelPlacements[0].x < untilX) {
+            this.spawnEntry(this.levelPlacements.shift());
         }
+    }
+    
+    // Spawn one level data entity; pattern entities are offset by originX.
+    // Returns the obstacle for obstacle entries.
+    spawnEntry(entry, originX = 0) {
+        const x = originX + entry.x;
+        
+        switch (entry.type) {
+            case 'obstacle':
+            case 'moving_obstacle': {
+                const obstacle = entry.type === 'obstacle'
+                    ? this.spawnObstacle(x, entry.kind, entry.y)
+                    : this.spawnMovingObstacle(x, entry.kind, entry.ai, entry.y);
+                if (entry.damage !== undefined) obstacle.getComponent('Obstacle').damage = entry.damage;
+                return obstacle;
+            }
+            case 'collectible':
+                // A row of the same collectible when count is given
+                for (let i = 0; i < (entry.count || 1); i++) {
+                    const collectible = this.spawnCollectible(x + i * (entry.spacing ?? 40), entry.kind, entry.y ?? null, entry.powerUp ?? null);
+                    if (entry.value !== undefined) collectible.getComponent('Collectible').value = entry.value;
+                }
+                break;
+            case 'paint':
+                this.spawnPaint(x, entry.y ?? null);
+                break;
+            case 'platform':
+                this.spawnPlatform(x, entry.y, entry.width);
+                break;
+            case 'rail':
+                this.spawnRail(x, entry.y, entry.width);
+                break;
+            case 'pattern':
+                this.executePattern(entry.name, x);
+                break;
+            case 'boss':
+                this.spawnBoss(entry.kind);
+                break;
+            default:
+                throw new Error(`Unknown level entity type "${entry.type}"`);
+        }
+    }
+    
+    // A boss volley entry: obstacles fall from the boss and slide back along the street at vx
+    spawnVolleyEntry(entry, originX, vx) {
+        const entity = this.spawnEntry(entry, originX);
+        if (!entity) return;
         
-        this.game.entityManager.addEntity(collectible);
+        if (!entity.hasComponent('Velocity')) entity.addComponent(new Velocity(vx, 0));
+        if (!entity.hasComponent('Physics')) entity.addComponent(new Physics());
     }
     
-    spawnBuilding(x) {
+    spawnFinishLine(x) {
+        const finish = new Entity()
+            .addComponent(new Transform(x, 250, 16, 200))
+            .addComponent(new Sprite('ui', 'finish_line', 1))
+            .addTag('finish');
+        
+        return this.game.entityManager.addEntity(finish);
+    }
+    
+    spawnBuilding(x, wall = null) {
         const buildingTypes = ['building1', 'building2', 'building3'];
-        const type = buildingTypes[Math.floor(Math.random() * buildingTypes.length)];
-        const height = 200 + Math.random() * 200;
+        const type = this.random.pick(buildingTypes);
+        const height = this.random.range(200, 400);
         
         const building = new Entity()
             .addComponent(new Transform(x, 300 - height, 120, height))
             .addComponent(new Sprite('background', type, 0))
             .addTag('building');
         
-        // Some buildings can be painted (street art targets)
-        if (Math.random() < 0.3) {
+        // Some buildings can be painted (street art targets). Buildings stand
+        // on y 300, so a collider inside the facade (height - 50) ends at
+        // y 275 and never meets a rider on the street (y 418-450); the spray
+        // zone instead runs down to street level (y 450).
+        // Campaign levels only have the walls they place.
+        if (wall || (!this.level && this.random.chance(0.3))) {
+            this.lastRecipe = wall ? wall.recipe : this.createRecipe();
+            
+            const streetArt = new StreetArt(this.lastRecipe);
+            streetArt.artStyle = this.random.pick(StreetArt.STYLES);
+            streetArt.variant = Math.floor(this.random.range(1, 25));
+            streetArt.wavePhase = SeededRandom.hashString(String(x)) % 1000;
+            
             building
-                .addComponent(new StreetArt())
-                .addComponent(new Collider(115, height - 50, 2, 25))
+                .addComponent(streetArt)
+                .addComponent(new Collider(115, height + 125, 2, 25).setLayer(CollisionLayer.STREETART, CollisionLayer.PLAYER))
                 .addTag('streetart');
         }
         
@@ -2105,11 +5592,55 @@ class WorldGenerator {
 }
 
 // Global game instance
-window.ChromaticRush = {
-    instance: null,
-    
-    init() {
-        this.instance = new ChromaticRush();
-        return this.instance;
-    }
-};
\ No newline at end of file
+if (typeof window !== 'undefined') {
+    window.ChromaticRush = {
+        instance: null,
+        
+        init() {
+            this.instance = new ChromaticRush();
+            return this.instance;
+        }
+    };
+}
+
+// Node (headless simulation harness)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ChromaticRush,
+        Entity,
+        EntityManager,
+        System,
+        WorldGenerator,
+        SeededRandom,
+        Replay,
+        ReplayRecorder,
+        ReplayPlayer,
+        SpatialHash,
+        CollisionLayer,
+        Platform,
+        Rail,
+        TrickController,
+        TrickSystem,
+        TRICKS,
+        ComboSystem,
+        TimedEffects,
+        PAINT_COLORS,
+        PowerUpSystem,
+        POWER_UPS,
+        Boss,
+        WeakPoint,
+        BOSSES,
+        Projectile,
+        ProjectileSystem,
+        PROJECTILES,
+        BehaviorTree,
+        AI_BEHAVIORS,
+        EventBus,
+        GameEvents,
+        Campaign,
+        CAMPAIGN_LEVELS,
+        LEVEL_GOALS,
+        LevelData,
+        DEFAULT_PATTERN_LIBRARY
+    };
+}
\ No newline at end of file
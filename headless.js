@@ -0,0 +1,475 @@
+/**
+ * CHROMATIC RUSH - Headless Simulation Harness
+ * Runs the ECS, systems and WorldGenerator under Node with stub adapters,
+ * so scripted runs can catch balance regressions and crashes in CI.
+ *
+ *   node headless.js --runs 1000 --seconds 120 --bot jumper
+ *   node headless.js --runs 200 --baseline balance.json --tolerance 0.15
+ *   node headless.js --runs 100 --level cone_alley --bot jumper
+ *   node headless.js --runs 100 --patterns my-patterns.json
+ *   node headless.js --checks
+ */
+
+const fs = require('fs');
+const { ChromaticRush, SeededRandom, GameEvents, BOSSES, CAMPAIGN_LEVELS } = require('./game.js');
+
+// Stub adapters
+class HeadlessRenderer {
+    constructor() {
+        this.camera = { x: 0, y: 0, previousX: 0 };
+        this.shakeAmount = 0;
+    }
+
+    addShake(amount) {
+        this.shakeAmount = Math.max(this.shakeAmount, amount);
+    }
+
+    render() {}
+
+    updateCamera(target) {
+        this.camera.previousX = this.camera.x;
+        const targetTransform = target?.getComponent('Transform');
+        if (targetTransform) {
+            this.camera.x += (targetTransform.x - 200 - this.camera.x) * 0.05;
+        }
+    }
+}
+
+// Swallows every UISystem call; reads the few getters the game relies on
+class HeadlessUI {
+    constructor() {
+        return new Proxy(this, {
+            get: (target, prop) => {
+                if (prop in target) return target[prop];
+                return () => {};
+            }
+        });
+    }
+
+    getSeedInput() {
+        return undefined;
+    }
+
+    getHighScore() {
+        return 0;
+    }
+}
+
+class ScriptedInput {
+    constructor() {
+        this.actions = { jump: false, duck: false, spray: false };
+    }
+
+    isPressed() {
+        return false;
+    }
+
+    isJumpPressed() {
+        return this.actions.jump;
+    }
+
+    isDuckPressed() {
+        return this.actions.duck;
+    }
+
+    isSprayPressed() {
+        return this.actions.spray;
+    }
+}
+
+const HeadlessAssets = {
+    loadAssets: async () => true,
+    getSprite: () => null,
+    playSound: () => {},
+    setVolume: () => {}
+};
+
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+// Scripted bots - each gets its own seeded RNG so a run is reproducible
+const BOTS = {
+    idle: () => ({ jump: false, duck: false, spray: false }),
+
+    jumper: (game, random) => ({
+        jump: random.chance(0.02),
+        duck: false,
+        spray: false
+    }),
+
+    random: (game, random) => ({
+        jump: random.chance(0.03),
+        duck: random.chance(0.05),
+        spray: random.chance(0.2)
+    })
+};
+
+function createHeadlessGame(patternLibraries = []) {
+    return new ChromaticRush({
+        headless: true,
+        patternLibraries,
+        renderer: new HeadlessRenderer(),
+        ui: new HeadlessUI(),
+        input: new ScriptedInput(),
+        assets: HeadlessAssets,
+        storage: new MemoryStorage()
+    });
+}
+
+/**
+ * Play one run to game over or the time limit. Returns the run's stats.
+ */
+function simulateRun(game, { seed, bot, seconds, level = null }) {
+    const botRandom = new SeededRandom(seed ^ 0x9e3779b9);
+    const maxSteps = Math.ceil(seconds / game.fixedTimeStep);
+
+    if (level) {
+        // Campaign levels are fixed streets; the seed only varies the bot
+        const levelData = game.campaign.getLevel(level);
+        game.startGame({ seed: SeededRandom.hashString(`level-${level}`), mode: 'campaign', level: levelData });
+    } else {
+        game.startGame({ seed });
+    }
+
+    let steps = 0;
+    while (game.gameState === 'playing' && steps < maxSteps) {
+        game.inputManager.actions = BOTS[bot](game, botRandom);
+        game.step(game.fixedTimeStep);
+        steps++;
+    }
+
+    return {
+        seed: SeededRandom.formatSeed(seed),
+        bot,
+        score: game.score,
+        distance: Math.round(game.distance),
+        survivalTime: Number(game.gameTime.toFixed(2)),
+        wallsPainted: game.stats.wallsPainted,
+        gameOver: game.gameState === 'gameOver',
+        levelComplete: game.gameState === 'levelComplete',
+        entities: game.entityManager.getEntityCount()
+    };
+}
+
+// Keep the rider alive through every hit, so a check sees the whole run
+function makeUnkillable(game) {
+    const health = game.player.getComponent('Health');
+    health.max = health.current = 1e6;
+}
+
+// Step a run holding actions (idle by default) until done() or the time
+// limit; returns whether done() held
+function playUntil(game, seconds, done, actions = BOTS.idle()) {
+    const maxSteps = Math.ceil(seconds / game.fixedTimeStep);
+    game.inputManager.actions = actions;
+
+    for (let steps = 0; steps < maxSteps && game.gameState === 'playing'; steps++) {
+        game.step(game.fixedTimeStep);
+        if (done()) return true;
+    }
+    return done();
+}
+
+/**
+ * Scenario checks for --checks. Each plays a scripted run and returns
+ * null when the behaviour holds, or a description of what went wrong.
+ */
+const CHECKS = {
+    // Riding on is enough to reach the finish line of every campaign level
+    levels_complete: () => {
+        const failures = [];
+
+        for (const level of CAMPAIGN_LEVELS) {
+            const game = createHeadlessGame();
+            game.startGame({ seed: SeededRandom.hashString(`level-${level.id}`), mode: 'campaign', level });
+            makeUnkillable(game);
+
+            if (!playUntil(game, level.length / 50, () => game.gameState === 'levelComplete')) {
+                failures.push(`${level.id} not complete at distance ${Math.round(game.distance)} (length ${level.length})`);
+            }
+        }
+        return failures.length > 0 ? failures.join('; ') : null;
+    },
+
+    // An editor playtest started half-way along a level rides on to the finish
+    playtest_from_x: () => {
+        const level = CAMPAIGN_LEVELS[CAMPAIGN_LEVELS.length - 1];
+        const startX = level.length / 2;
+        const game = createHeadlessGame();
+        game.playtestLevel(level, startX);
+        makeUnkillable(game);
+
+        const finished = playUntil(game, startX / 50, () => game.gameState === 'levelComplete');
+        return finished ? null : `not complete from x ${startX} at distance ${Math.round(game.distance)} (length ${level.length})`;
+    },
+
+    // A speed power-up makes the run cover more ground in the same time
+    speed_power_up: () => {
+        const ride = (boosted) => {
+            const game = createHeadlessGame();
+            game.startGame({ seed: 1 });
+            makeUnkillable(game);
+            if (boosted) game.powerUpSystem.activate(game.player, 'speed');
+            playUntil(game, 3, () => false);
+            return game.distance;
+        };
+
+        const normal = ride(false);
+        const boosted = ride(true);
+        return boosted > normal * 1.3 ? null : `distance ${Math.round(boosted)} with the power-up vs ${Math.round(normal)} without`;
+    },
+
+    // Each boss's volleys reach and hurt a rider who does nothing
+    boss_hurts_idle_rider: () => {
+        const failures = [];
+
+        for (const kind of Object.keys(BOSSES)) {
+            const game = createHeadlessGame();
+            game.startGame({ seed: 1 });
+            makeUnkillable(game);
+
+            // Clear the street so every hit comes from the boss
+            for (const entity of game.entityManager.entities.values()) {
+                if (entity.hasTag('obstacle')) entity.destroy = true;
+            }
+            game.worldGenerator.spawnBoss(kind);
+
+            let hits = 0;
+            game.events.on(GameEvents.DAMAGED, () => hits++);
+            playUntil(game, 30, () => hits > 0);
+            if (hits === 0) failures.push(`${kind} never hurt the rider`);
+        }
+        return failures.length > 0 ? failures.join('; ') : null;
+    },
+
+    // Enemies in an endless run fire, and their shots hit a rider who does nothing
+    projectiles_hit: () => {
+        const game = createHeadlessGame();
+        game.startGame({ seed: 12345 });
+        makeUnkillable(game);
+
+        let fired = 0;
+        let hits = 0;
+        game.events.on(GameEvents.PROJECTILE_FIRED, () => fired++);
+        game.events.on(GameEvents.DAMAGED, ({ source }) => {
+            if (source?.hasTag('projectile')) hits++;
+        });
+        playUntil(game, 60, () => hits > 0);
+        return hits > 0 ? null : `${fired} projectiles fired, none hit the rider`;
+    },
+
+    // Spraying knocks a sentry's shots away
+    projectiles_deflected: () => {
+        const game = createHeadlessGame();
+        game.startGame({ seed: 1 });
+        makeUnkillable(game);
+
+        const x = game.worldGenerator.getProgressX() + 500;
+        game.worldGenerator.spawnEntry({ type: 'moving_obstacle', kind: 'security_drone', x: 0, ai: { type: 'sentry' } }, x);
+        playUntil(game, 10, () => game.stats.projectilesDeflected > 0, { jump: false, duck: false, spray: true });
+        return game.stats.projectilesDeflected > 0 ? null : 'no projectile was deflected while spraying';
+    }
+};
+
+function runChecks() {
+    let failed = false;
+
+    for (const [name, check] of Object.entries(CHECKS)) {
+        const failure = check();
+        if (failure) {
+            console.error(`❌ ${name}: ${failure}`);
+            failed = true;
+        } else {
+            console.error(`✅ ${name}`);
+        }
+    }
+    return !failed;
+}
+
+function summarize(results) {
+    const metrics = ['score', 'distance', 'survivalTime', 'wallsPainted', 'entities'];
+    const summary = { runs: results.length, gameOverRate: 0 };
+
+    summary.gameOverRate = results.filter(r => r.gameOver).length / Math.max(1, results.length);
+    summary.levelCompleteRate = results.filter(r => r.levelComplete).length / Math.max(1, results.length);
+
+    for (const metric of metrics) {
+        const values = results.map(r => r[metric]).sort((a, b) => a - b);
+        const total = values.reduce((sum, v) => sum + v, 0);
+        summary[metric] = {
+            mean: values.length ? total / values.length : 0,
+            median: values.length ? values[Math.floor(values.length / 2)] : 0,
+            min: values[0] ?? 0,
+            max: values[values.length - 1] ?? 0
+        };
+    }
+
+    return summary;
+}
+
+// Compare metric means against a saved summary; returns a list of regressions
+function compareToBaseline(summary, baseline, tolerance) {
+    const regressions = [];
+
+    for (const [metric, stats] of Object.entries(baseline)) {
+        if (typeof stats !== 'object' || !summary[metric]) continue;
+
+        const expected = stats.mean;
+        const actual = summary[metric].mean;
+        const drift = expected === 0 ? Math.abs(actual) : Math.abs(actual - expected) / Math.abs(expected);
+
+        if (drift > tolerance) {
+            regressions.push(`${metric}: mean ${actual.toFixed(2)} vs baseline ${expected.toFixed(2)} (${(drift * 100).toFixed(1)}% drift)`);
+        }
+    }
+
+    return regressions;
+}
+
+function parseArgs(argv) {
+    const options = {
+        runs: 100,
+        seconds: 120,
+        bot: 'random',
+        seed: 1,
+        level: null,
+        patterns: [],
+        baseline: null,
+        tolerance: 0.1,
+        writeBaseline: null,
+        checks: false,
+        verbose: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => argv[++i];
+
+        switch (arg) {
+            case '--runs': options.runs = parseInt(next(), 10); break;
+            case '--seconds': options.seconds = parseFloat(next()); break;
+            case '--bot': options.bot = next(); break;
+            case '--seed': options.seed = SeededRandom.parseSeed(next()); break;
+            case '--level': options.level = next(); break;
+            case '--patterns': options.patterns.push(next()); break;
+            case '--baseline': options.baseline = next(); break;
+            case '--tolerance': options.tolerance = parseFloat(next()); break;
+            case '--write-baseline': options.writeBaseline = next(); break;
+            case '--checks': options.checks = true; break;
+            case '--verbose': options.verbose = true; break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    if (!BOTS[options.bot]) {
+        throw new Error(`Unknown bot "${options.bot}" (available: ${Object.keys(BOTS).join(', ')})`);
+    }
+
+    if (options.level && !CAMPAIGN_LEVELS.some(level => level.id === options.level)) {
+        throw new Error(`Unknown level "${options.level}" (available: ${CAMPAIGN_LEVELS.map(level => level.id).join(', ')})`);
+    }
+
+    return options;
+}
+
+function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const log = console.log;
+
+    // The game logs every run start; keep CI output readable
+    if (!options.verbose) console.log = () => {};
+
+    if (options.checks) {
+        const passed = runChecks();
+        console.log = log;
+        process.exitCode = passed ? 0 : 1;
+        return;
+    }
+
+    // Extra pattern libraries are validated up front so a bad file fails fast
+    const patternLibraries = options.patterns.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    createHeadlessGame(patternLibraries);
+
+    const seeds = new SeededRandom(options.seed);
+    const results = [];
+    const crashes = [];
+
+    for (let run = 0; run < options.runs; run++) {
+        const seed = Math.floor(seeds.next() * 0x100000000) >>> 0;
+        const game = createHeadlessGame(patternLibraries);
+
+        try {
+            results.push(simulateRun(game, { seed, bot: options.bot, seconds: options.seconds, level: options.level }));
+        } catch (error) {
+            crashes.push({ seed: SeededRandom.formatSeed(seed), error });
+
+            // Keep the inputs that led to the crash so it can be replayed
+            const replay = game.replayRecorder?.finish({ score: game.score, distance: game.distance });
+            if (replay) {
+                fs.writeFileSync(`crash-${SeededRandom.formatSeed(seed)}.json`, JSON.stringify(replay));
+            }
+        }
+    }
+
+    console.log = log;
+
+    const summary = summarize(results);
+    console.log(JSON.stringify(summary, null, 2));
+
+    if (options.writeBaseline) {
+        fs.writeFileSync(options.writeBaseline, JSON.stringify(summary, null, 2));
+    }
+
+    let failed = false;
+
+    for (const crash of crashes) {
+        console.error(`❌ Crash on seed ${crash.seed}:`, crash.error);
+        failed = true;
+    }
+
+    if (options.baseline) {
+        const baseline = JSON.parse(fs.readFileSync(options.baseline, 'utf8'));
+        const regressions = compareToBaseline(summary, baseline, options.tolerance);
+        for (const regression of regressions) {
+            console.error(`⚠️ Balance regression - ${regression}`);
+            failed = true;
+        }
+    }
+
+    process.exitCode = failed ? 1 : 0;
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    HeadlessRenderer,
+    HeadlessUI,
+    ScriptedInput,
+    HeadlessAssets,
+    MemoryStorage,
+    BOTS,
+    CHECKS,
+    createHeadlessGame,
+    simulateRun,
+    runChecks,
+    summarize,
+    compareToBaseline
+};